@@ -0,0 +1,108 @@
+// Latency of the applicable coupons lookup with and without the active coupon cache.
+// Runs without MongoDB: coupons are built in memory.
+//   npm run benchmark -- [couponCount] [iterations]
+import { performance } from 'perf_hooks';
+import Coupon from '../src/models/coupon.js';
+import { CouponService } from '../src/services/couponService.js';
+import { ActiveCouponCache } from '../src/services/activeCouponCache.js';
+
+const COUPON_COUNT = Number(process.argv[2]) || 10000;
+const ITERATIONS = Number(process.argv[3]) || 50;
+const PRODUCT_COUNT = 20000;
+const CATEGORIES = ['electronics', 'fashion', 'grocery', 'home', 'toys', 'books', 'sports', 'beauty'];
+const expirationDate = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+
+// Seeded so every run measures the same coupons and carts
+let seed = 42;
+const random = () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+const pick = list => list[Math.floor(random() * list.length)];
+const productId = () => 1 + Math.floor(random() * PRODUCT_COUNT);
+
+// Mostly product-level offers, as in a large catalogue
+function buildCouponData(i) {
+  const base = { code: `BENCH${i}`, expirationDate, isActive: true };
+  const roll = random();
+  if (roll < 0.05) {
+    return { ...base, type: 'CART_WISE', discountValue: 5 + Math.floor(random() * 15), minCartValue: 500 + Math.floor(random() * 5000) };
+  }
+  if (roll < 0.55) {
+    return {
+      ...base,
+      type: 'PRODUCT_WISE',
+      discountType: 'PERCENTAGE',
+      discountValue: 5 + Math.floor(random() * 30),
+      applicableProducts: Array.from({ length: 1 + Math.floor(random() * 5) }, productId)
+    };
+  }
+  if (roll < 0.6) {
+    return { ...base, type: 'PRODUCT_WISE', discountType: 'PERCENTAGE', discountValue: 10, applicableCategories: [pick(CATEGORIES)] };
+  }
+  if (roll < 0.9) {
+    return {
+      ...base,
+      type: 'BXGY',
+      buyProducts: [{ productId: productId(), quantity: 2 }, { productId: productId(), quantity: 1 }],
+      getProducts: [{ productId: productId(), quantity: 1 }],
+      repetitionLimit: 2
+    };
+  }
+  return {
+    ...base,
+    type: 'BUNDLE',
+    discountType: 'PERCENTAGE',
+    discountValue: 15,
+    bundleProducts: [{ productId: productId(), quantity: 1 }, { productId: productId(), quantity: 1 }]
+  };
+}
+
+function buildCart() {
+  return {
+    items: Array.from({ length: 5 }, () => ({
+      productId: productId(),
+      quantity: 1 + Math.floor(random() * 3),
+      price: 100 + Math.floor(random() * 2000),
+      category: pick(CATEGORIES)
+    }))
+  };
+}
+
+function measure(label, run) {
+  const carts = Array.from({ length: ITERATIONS }, buildCart);
+  carts.slice(0, 10).forEach(run);
+  const timings = carts.map(cart => {
+    const start = performance.now();
+    run(cart);
+    return performance.now() - start;
+  }).sort((a, b) => a - b);
+  const at = fraction => timings[Math.min(timings.length - 1, Math.floor(fraction * timings.length))].toFixed(2);
+  const mean = (timings.reduce((total, time) => total + time, 0) / timings.length).toFixed(2);
+  console.log(`${label.padEnd(34)} mean ${mean}ms  p50 ${at(0.5)}ms  p95 ${at(0.95)}ms  p99 ${at(0.99)}ms`);
+}
+
+const rawCoupons = Array.from({ length: COUPON_COUNT }, (_, i) => new Coupon(buildCouponData(i)).toObject());
+const coupons = rawCoupons.map(raw => Coupon.hydrate(raw));
+
+const cache = new ActiveCouponCache();
+const start = performance.now();
+cache.replace(coupons);
+const stats = cache.getStats();
+console.log(`${COUPON_COUNT} coupons, ${ITERATIONS} carts of 5 items`);
+console.log(`Index built in ${(performance.now() - start).toFixed(1)}ms: ${stats.indexKeys} keys, ${stats.unindexed} coupons checked for every cart`);
+const candidateCounts = Array.from({ length: 50 }, buildCart).map(cart => cache.findCandidates(cart).length);
+console.log(`Candidates per cart: ${(candidateCounts.reduce((a, b) => a + b, 0) / candidateCounts.length).toFixed(0)} on average\n`);
+
+// Before the cache every request hydrated every active coupon, then checked each one
+measure('Query path (hydrate + full scan)', cart => {
+  CouponService.rankApplicableCoupons(rawCoupons.map(raw => Coupon.hydrate(raw)), cart);
+});
+measure('Full scan of hydrated coupons', cart => {
+  CouponService.rankApplicableCoupons(coupons, cart);
+});
+measure('Active coupon cache', cart => {
+  CouponService.rankApplicableCoupons(cache.findCandidates(cart), cart);
+});
+console.log('\nThe query path leaves out the MongoDB round trip, so the real saving is larger.');
+process.exit(0);
@@ -1,27 +1,74 @@
 import 'dotenv/config';
 import express from 'express';
+// Rejected promises in async handlers reach the error handler instead of crashing the process
+import 'express-async-errors';
 import mongoose from 'mongoose';
 import cors from 'cors';
 import couponRoutes from './routes/couponRoutes.js';
+import campaignRoutes from './routes/campaignRoutes.js';
+import analyticsRoutes from './routes/analyticsRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import { ReservationService } from './services/reservationService.js';
+import { WebhookService } from './services/webhookService.js';
+import { activeCouponCache } from './services/activeCouponCache.js';
 
 
 const app = express();
 
+// Behind a load balancer or CDN, rate limits need the client IP from X-Forwarded-For.
+// TRUST_PROXY is a hop count, 'true', or addresses/subnets such as 'loopback, 10.0.0.0/8'.
+const { TRUST_PROXY } = process.env;
+if (TRUST_PROXY) {
+  app.set('trust proxy', TRUST_PROXY === 'true' ? true : Number(TRUST_PROXY) || TRUST_PROXY);
+}
+
 app.use(cors());
-app.use(express.json());
+// Coupon imports send whole spreadsheets as JSON
+app.use(express.json({ limit: '5mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/coupon_db');
 
 mongoose.connection.on('connected', () => {
   console.log('Connected to MongoDB');
+  // Warm the cache so the first applicability lookup does not wait for it
+  activeCouponCache.load()
+    .then(() => console.log(`Cached ${activeCouponCache.getStats().coupons} active coupon(s)`))
+    .catch(err => console.error('Active coupon cache load failed:', err));
 });
 
 mongoose.connection.on('error', (err) => {
   console.error('MongoDB connection error:', err);
 });
 
+// Give back uses held by checkout reservations that were never committed or released
+const RESERVATION_SWEEP_INTERVAL_MS = Number(process.env.RESERVATION_SWEEP_INTERVAL_MS) || 60000;
+setInterval(() => {
+  if (mongoose.connection.readyState !== 1) return;
+  ReservationService.reclaimExpiredReservations()
+    .then(count => {
+      if (count > 0) console.log(`Reclaimed ${count} expired coupon reservation(s)`);
+    })
+    .catch(err => console.error('Reservation sweep failed:', err));
+}, RESERVATION_SWEEP_INTERVAL_MS).unref();
+
+// Retry webhook deliveries that are due and raise coupon.expired for newly expired coupons
+const WEBHOOK_SWEEP_INTERVAL_MS = Number(process.env.WEBHOOK_SWEEP_INTERVAL_MS) || 15000;
+let webhookSweepRunning = false;
+setInterval(() => {
+  if (mongoose.connection.readyState !== 1 || webhookSweepRunning) return;
+  webhookSweepRunning = true;
+  Promise.all([WebhookService.raiseExpiredCouponEvents(), WebhookService.retryDueDeliveries()])
+    .catch(err => console.error('Webhook sweep failed:', err))
+    .finally(() => {
+      webhookSweepRunning = false;
+    });
+}, WEBHOOK_SWEEP_INTERVAL_MS).unref();
+
 app.use('/api', couponRoutes);
+app.use('/api', campaignRoutes);
+app.use('/api', analyticsRoutes);
+app.use('/api', webhookRoutes);
 
 app.get('/health', (req, res) => {
   res.status(200).json({ 
@@ -0,0 +1,68 @@
+import Coupon from '../models/coupon.js';
+import Campaign from '../models/campaign.js';
+import { AnalyticsService } from '../services/analyticsService.js';
+import { validateAnalyticsSeriesQuery, validateAnalyticsRankingQuery } from '../utils/validators.js';
+import { isObjectId } from '../utils/ids.js';
+
+export const analyticsController = {
+  
+  // Top coupons by a metric, optionally within one campaign
+  async getTopCoupons(req, res) {
+    const { error, value } = validateAnalyticsRankingQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    res.json(await AnalyticsService.getTopPerformers('coupon', value));
+  },
+  
+  // Totals and time series for one coupon, by code; deleted coupons included
+  async getCouponAnalytics(req, res) {
+    const { error, value } = validateAnalyticsSeriesQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const coupon = await Coupon.findOne({ code: req.params.id.toUpperCase() }).setOptions({ withDeleted: true });
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+    
+    try {
+      const report = await AnalyticsService.getCouponReport(coupon, value);
+      res.json({ coupon: { id: coupon._id, code: coupon.code, type: coupon.type }, ...report });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+  
+  // Top campaigns by a metric
+  async getTopCampaigns(req, res) {
+    const { error, value } = validateAnalyticsRankingQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    res.json(await AnalyticsService.getTopPerformers('campaign', value));
+  },
+  
+  // Totals and time series for one campaign
+  async getCampaignAnalytics(req, res) {
+    const { error, value } = validateAnalyticsSeriesQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const campaign = isObjectId(req.params.id) && await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    
+    try {
+      const report = await AnalyticsService.getCampaignReport(campaign, value);
+      res.json({ campaign: { id: campaign._id, name: campaign.name }, ...report });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+};
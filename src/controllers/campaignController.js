@@ -0,0 +1,85 @@
+import Campaign from '../models/campaign.js';
+import Coupon from '../models/coupon.js';
+import { CampaignService } from '../services/campaignService.js';
+import { validateCampaign } from '../utils/validators.js';
+import { isObjectId } from '../utils/ids.js';
+
+export const campaignController = {
+  
+  async createCampaign(req, res) {
+    const { error, value } = validateCampaign(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const campaign = new Campaign(value);
+    await campaign.save();
+    
+    res.status(201).json({
+      message: 'Campaign created successfully',
+      campaign: await CampaignService.getCampaignReport(campaign)
+    });
+  },
+  
+  // Get all campaigns with their budget reports
+  async getAllCampaigns(req, res) {
+    const filter = {};
+    if (req.query.active !== undefined) {
+      filter.isActive = req.query.active === 'true';
+    }
+    
+    const campaigns = await Campaign.find(filter).sort({ createdAt: -1 });
+    const reports = await Promise.all(campaigns.map(campaign => CampaignService.getCampaignReport(campaign)));
+    
+    res.json({
+      count: reports.length,
+      campaigns: reports
+    });
+  },
+  
+  // Budget consumed versus remaining for one campaign
+  async getCampaignById(req, res) {
+    const campaign = isObjectId(req.params.id) && await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    res.json(await CampaignService.getCampaignReport(campaign));
+  },
+  
+  async updateCampaign(req, res) {
+    const { error, value } = validateCampaign(req.body, true);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const campaign = isObjectId(req.params.id) && await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    
+    Object.assign(campaign, value, { updatedAt: new Date() });
+    await campaign.save();
+    
+    res.json({
+      message: 'Campaign updated successfully',
+      campaign: await CampaignService.getCampaignReport(campaign)
+    });
+  },
+  
+  // Campaigns that still have coupons cannot be deleted
+  async deleteCampaign(req, res) {
+    const campaign = isObjectId(req.params.id) && await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    
+    // Deleted coupons count too, since they can be restored
+    const couponCount = await Coupon.countDocuments({ campaign: campaign._id }).setOptions({ withDeleted: true });
+    if (couponCount > 0) {
+      return res.status(400).json({ error: `Campaign still has ${couponCount} coupon(s)` });
+    }
+    
+    await campaign.deleteOne();
+    res.json({ message: 'Campaign deleted successfully' });
+  }
+};
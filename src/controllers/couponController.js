@@ -1,6 +1,39 @@
 import Coupon from '../models/coupon.js';
 import {CouponService} from '../services/couponService.js';
-import { validateCoupon, validateCart } from '../utils/validators.js';
+import { RedemptionService } from '../services/redemptionService.js';
+import { ReservationService } from '../services/reservationService.js';
+import { CodeBatchService } from '../services/codeBatchService.js';
+import { CouponImportExportService } from '../services/couponImportExportService.js';
+import { CouponHistoryService } from '../services/couponHistoryService.js';
+import { CouponQueryService } from '../services/couponQueryService.js';
+import { WebhookService } from '../services/webhookService.js';
+import Reservation from '../models/reservation.js';
+import Campaign from '../models/campaign.js';
+import {
+  validateCoupon,
+  validateCart,
+  validateCustomer,
+  validateCouponCodes,
+  validateApplicableCouponsOptions,
+  validateRedemption,
+  validateRedemptionQuery,
+  validateReversal,
+  validateReservation,
+  validateReservationCommit,
+  validateCodeBatch,
+  validateCodeExportQuery,
+  validateCouponExportQuery,
+  validateCouponImportOptions,
+  validateCouponListQuery,
+  validateRollback
+} from '../utils/validators.js';
+import { isObjectId } from '../utils/ids.js';
+import { escapeCell } from '../utils/csv.js';
+
+// Who made a change, for the coupon history; set by the auth middleware
+function getActor(req) {
+  return req.auth ? req.auth.id : 'anonymous';
+}
 
 export const couponController = {
   
@@ -15,13 +48,18 @@ export const couponController = {
       return res.status(400).json({ error: validationErrors.join(', ') });
     }
     
-    const existingCoupon = await Coupon.findOne({ code: value.code });
-    if (existingCoupon) {
+    if (await CodeBatchService.isCodeTaken(value.code)) {
       return res.status(400).json({ error: 'Coupon code already exists' });
     }
     
+    if (value.campaign && !(await Campaign.exists({ _id: value.campaign }))) {
+      return res.status(400).json({ error: 'Campaign not found' });
+    }
+    
     const coupon = new Coupon(value);
     await coupon.save();
+    await CouponHistoryService.recordVersion(coupon, 'CREATE', getActor(req));
+    WebhookService.emitCouponEvent('coupon.created', coupon, { actor: getActor(req) });
     
     res.status(201).json({
       message: 'Coupon created successfully',
@@ -29,33 +67,170 @@ export const couponController = {
     });
   },
   
-  // Get all coupons
-  async getAllCoupons(req, res) {
-    const { type, active } = req.query;
-    const filter = {};
+  // Create a batch coupon from a template with generated single-use codes
+  async createCouponBatch(req, res) {
+    const { error, value: template } = validateCoupon(req.body.template || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const validationErrors = Coupon.validateCouponData(template);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ error: validationErrors.join(', ') });
+    }
     
-    if (type) {
-      filter.type = type;
+    const { error: batchError, value: options } = validateCodeBatch({
+      count: req.body.count,
+      prefix: req.body.prefix,
+      length: req.body.length,
+      alphabet: req.body.alphabet,
+      codeUsageLimit: req.body.codeUsageLimit
+    });
+    if (batchError) {
+      return res.status(400).json({ error: batchError.details[0].message });
     }
     
-    if (active !== undefined) {
-      filter.isActive = active === 'true';
+    if (await CodeBatchService.isCodeTaken(template.code)) {
+      return res.status(400).json({ error: 'Coupon code already exists' });
     }
     
-    const coupons = await Coupon.find(filter).sort({ createdAt: -1 });
+    if (template.campaign && !(await Campaign.exists({ _id: template.campaign }))) {
+      return res.status(400).json({ error: 'Campaign not found' });
+    }
     
+    try {
+      const coupon = await CodeBatchService.createBatch(template, options);
+      await CouponHistoryService.recordVersion(coupon, 'CREATE', getActor(req));
+      WebhookService.emitCouponEvent('coupon.created', coupon, { actor: getActor(req) });
+      
+      res.status(201).json({
+        message: 'Coupon batch created successfully',
+        coupon: coupon.toJSON(),
+        generated: coupon.batchSize,
+        downloadUrl: `/api/coupons/${coupon.code}/codes?format=csv`
+      });
+      
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+  
+  // Download the generated codes of a batch coupon as JSON or CSV
+  async getCouponCodes(req, res) {
+    const { error, value } = validateCodeExportQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const coupon = await Coupon.findOne({ code: req.params.id });
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+    if (!coupon.isBatch) {
+      return res.status(400).json({ error: `Coupon ${coupon.code} is not a code batch` });
+    }
+    
+    const query = CodeBatchService.findBatchCodes(coupon, { unusedOnly: value.unused });
+    
+    if (value.format === 'csv') {
+      res.set('Content-Type', 'text/csv');
+      res.attachment(`${coupon.code}-codes.csv`);
+      res.write('code,usageLimit,currentUsage\n');
+      // Streamed so large batches are never held in memory
+      for await (const batchCode of query.cursor()) {
+        res.write(`${escapeCell(batchCode.code)},${batchCode.usageLimit},${batchCode.currentUsage}\n`);
+      }
+      return res.end();
+    }
+    
+    const codes = await query;
     res.json({
-      count: coupons.length,
-      coupons: coupons.map(coupon => coupon.toJSON())
+      code: coupon.code,
+      batchSize: coupon.batchSize,
+      count: codes.length,
+      codes: codes.map(batchCode => ({
+        code: batchCode.code,
+        usageLimit: batchCode.usageLimit,
+        currentUsage: batchCode.currentUsage
+      }))
     });
   },
   
-  // Get coupon by ID
+  // Get a page of coupons, filtered and sorted; ?deleted=true lists soft-deleted coupons instead
+  async getAllCoupons(req, res) {
+    const { error, value } = validateCouponListQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    try {
+      const { coupons, total, nextCursor } = await CouponQueryService.listCoupons(value);
+      
+      res.json({
+        count: coupons.length,
+        total,
+        nextCursor,
+        coupons: coupons.map(coupon => coupon.toJSON())
+      });
+      
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+  
+  // Export coupons matching the GET /coupons filters as JSON or CSV
+  async exportCoupons(req, res) {
+    const { error, value } = validateCouponExportQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const coupons = await Coupon.find(CouponQueryService.buildFilter(value))
+      .setOptions({ withDeleted: value.deleted })
+      .sort({ createdAt: -1 });
+    const content = CouponImportExportService.exportCoupons(coupons, value.format);
+    
+    res.type(value.format === 'csv' ? 'text/csv' : 'application/json');
+    res.attachment(`coupons.${value.format}`);
+    res.send(content);
+  },
+  
+  // Import coupons from CSV (text/csv) or JSON, validating each row
+  async importCoupons(req, res) {
+    const { error, value: options } = validateCouponImportOptions({
+      mode: req.query.mode,
+      dryRun: req.query.dryRun
+    });
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    try {
+      const rows = CouponImportExportService.parseImport(req.body, req.is('text/csv') ? 'csv' : 'json');
+      const report = await CouponImportExportService.importCoupons(rows, options, getActor(req));
+      
+      res.status(report.dryRun ? 200 : 201).json({
+        message: report.dryRun ? 'Import checked; nothing was saved' : 'Import completed',
+        ...report
+      });
+      
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+  
+  // Get coupon by code; storefront clients get the public view, which also covers generated batch codes
   async getCouponById(req, res) {
-    const code = req.params.id; 
-    const coupon = await Coupon.find({code : code});
-    console.log("coupon ::", coupon)
+    const code = req.params.id.toUpperCase();
     
+    if (req.auth.role !== 'admin') {
+      const resolved = await CodeBatchService.resolveCode(code);
+      if (!resolved || (resolved.batchCode && resolved.batchCode.isUsedUp())) {
+        return res.status(404).json({ error: 'Coupon not found' });
+      }
+      return res.json({ ...resolved.coupon.toPublicJSON(), code });
+    }
+    
+    const coupon = await Coupon.findOne({ code });
     if (!coupon) {
       return res.status(404).json({ error: 'Coupon not found' });
     }
@@ -65,14 +240,6 @@ export const couponController = {
   // Update coupon
 async updateCoupon(req, res) {
   try {
-    // 1. Validate the input
-    const { error, value } = validateCoupon(req.body, true);
-    if (error) {
-      return res.status(400).json({
-        success: false,
-        error: error.details.map(d => d.message).join(', ')
-      });
-    }
     const id = req.params.id;
     const existingCoupon = await Coupon.findOne({ code: id }); 
     if (!existingCoupon) {
@@ -81,10 +248,18 @@ async updateCoupon(req, res) {
         error: 'Coupon not found'
       });
     }
+    // Fields the update leaves out are checked against the stored coupon's type
+    const { error, value } = validateCoupon(req.body, true, existingCoupon.type);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details.map(d => d.message).join(', ')
+      });
+    }
     if (value.code) {
       const normalizedNewCode = value.code.toUpperCase().trim();
       if (normalizedNewCode !== existingCoupon.code) {
-        const duplicateCoupon = await Coupon.findOne({ code: normalizedNewCode });
+        const duplicateCoupon = await CodeBatchService.isCodeTaken(normalizedNewCode);
         
         if (duplicateCoupon) {
           return res.status(400).json({ 
@@ -95,8 +270,30 @@ async updateCoupon(req, res) {
       }
       value.code = normalizedNewCode;
     }
+    if (value.campaign && !(await Campaign.exists({ _id: value.campaign }))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+    const before = CouponHistoryService.snapshot(existingCoupon);
     Object.assign(existingCoupon, value);
+    // Type rules span fields the update may leave out, so they run on the merged coupon
+    const validationErrors = Coupon.validateCouponData(
+      CouponImportExportService.toExportRecord(existingCoupon)
+    );
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: validationErrors.join(', ')
+      });
+    }
+    existingCoupon.updatedAt = new Date();
     const savedCoupon = await existingCoupon.save();
+    const version = await CouponHistoryService.recordVersion(savedCoupon, 'UPDATE', getActor(req), before);
+    if (version) {
+      WebhookService.emitCouponEvent('coupon.updated', savedCoupon, { actor: getActor(req), changes: version.changes });
+    }
 
     res.json({
       success: true,
@@ -105,6 +302,13 @@ async updateCoupon(req, res) {
     });
 
   } catch (error) {
+    // The merged coupon can break a model rule the partial update alone could not show
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
     console.error('Update coupon error:', error);
     res.status(500).json({ 
       success: false,
@@ -113,7 +317,7 @@ async updateCoupon(req, res) {
   }
 },
   
-  // Delete coupon
+  // Soft delete coupon; its history, redemptions and batch codes are kept for a restore
   async deleteCoupon(req, res) {
     const coupon = await Coupon.findOne({code : req.params.id});
     
@@ -121,11 +325,105 @@ async updateCoupon(req, res) {
       return res.status(404).json({ error: 'Coupon not found' });
     }
     
-    await coupon.deleteOne();
+    const actor = getActor(req);
+    coupon.deletedAt = new Date();
+    coupon.deletedBy = actor;
+    await coupon.save();
+    await CouponHistoryService.recordVersion(coupon, 'DELETE', actor, CouponHistoryService.snapshot(coupon));
+    WebhookService.emitCouponEvent('coupon.deleted', coupon, { actor });
     
     res.json({ message: 'Coupon deleted successfully' });
   },
   
+  // Bring back a soft-deleted coupon
+  async restoreCoupon(req, res) {
+    const coupon = await Coupon.findOne({ code: req.params.id }).setOptions({ withDeleted: true });
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+    if (!coupon.isDeleted()) {
+      return res.status(400).json({ error: `Coupon ${coupon.code} is not deleted` });
+    }
+    
+    const snapshot = CouponHistoryService.snapshot(coupon);
+    coupon.deletedAt = null;
+    coupon.deletedBy = undefined;
+    coupon.updatedAt = new Date();
+    await coupon.save();
+    await CouponHistoryService.recordVersion(coupon, 'RESTORE', getActor(req), snapshot);
+    WebhookService.emitCouponEvent('coupon.restored', coupon, { actor: getActor(req) });
+    
+    res.json({ message: 'Coupon restored successfully', coupon: coupon.toJSON() });
+  },
+  
+  // Versions of a coupon, newest first, including deleted coupons
+  async getCouponHistory(req, res) {
+    const coupon = await Coupon.findOne({ code: req.params.id }).setOptions({ withDeleted: true });
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+    
+    const versions = await CouponHistoryService.getHistory(coupon);
+    res.json({
+      code: coupon.code,
+      deletedAt: coupon.deletedAt,
+      count: versions.length,
+      versions
+    });
+  },
+  
+  // One version with the full snapshot of the coupon's settings
+  async getCouponVersion(req, res) {
+    const { error, value } = validateRollback({ version: req.params.version });
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const coupon = await Coupon.findOne({ code: req.params.id }).setOptions({ withDeleted: true });
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+    
+    const version = await CouponHistoryService.getVersion(coupon, value.version);
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    res.json(version);
+  },
+  
+  // Put a coupon's settings back to an earlier version
+  async rollbackCoupon(req, res) {
+    const { error, value } = validateRollback({ version: req.body.version });
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const coupon = await Coupon.findOne({ code: req.params.id });
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+    
+    try {
+      const version = await CouponHistoryService.rollback(coupon, value.version, getActor(req));
+      if (version) {
+        WebhookService.emitCouponEvent('coupon.updated', coupon, {
+          actor: getActor(req),
+          changes: version.changes,
+          rolledBackTo: value.version
+        });
+      }
+      
+      res.json({
+        message: `Coupon rolled back to version ${value.version}`,
+        version: version && version.version,
+        coupon: coupon.toJSON()
+      });
+      
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+  
   // Get applicable coupons for a cart
   async getApplicableCoupons(req, res) {
     // Validate cart
@@ -134,13 +432,46 @@ async updateCoupon(req, res) {
       return res.status(400).json({ error: error.details[0].message });
     }
     
-    const applicableCoupons = await CouponService.getApplicableCoupons(value, Coupon);
+    const { error: optionsError, value: options } = validateApplicableCouponsOptions({
+      bestCombination: req.body.bestCombination,
+      explain: req.body.explain,
+      explainCodes: req.body.explainCodes,
+      suggestions: req.body.suggestions
+    });
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError.details[0].message });
+    }
+    // Explanations show usage counts and campaign budgets, which only admins see
+    if (options.explain && req.auth.role !== 'admin') {
+      return res.status(403).json({ error: 'Explain mode is only available to admins' });
+    }
     
-    res.json({
+    const { error: customerError, value: customer } = validateCustomer(req.body.customer);
+    if (customerError) {
+      return res.status(400).json({ error: customerError.details[0].message });
+    }
+    
+    const context = await RedemptionService.buildCustomerContext(customer);
+    const applicableCoupons = await CouponService.getApplicableCoupons(value, context);
+    const response = {
       cart: value,
       applicableCoupons,
       totalApplicable: applicableCoupons.length
-    });
+    };
+    
+    if (options.bestCombination) {
+      response.bestCombination = await CouponService.getBestCombination(value, context);
+    }
+
+    if (options.suggestions) {
+      response.suggestions = await CouponService.getUpsellSuggestions(value, context);
+    }
+
+    if (options.explain) {
+      response.explanations = await CouponService.explainApplicableCoupons(value, context, options.explainCodes);
+    }
+    
+    res.json(response);
   },
   
   async applyCoupon(req, res) {
@@ -149,15 +480,33 @@ async updateCoupon(req, res) {
       return res.status(400).json({ error: error.details[0].message });
     }
     
-    const coupon = await Coupon.findById(req.params.id);
+    const coupon = isObjectId(req.params.id) && await Coupon.findById(req.params.id);
     if (!coupon) {
       return res.status(404).json({ error: 'Coupon not found' });
     }
     
+    const { error: customerError, value: customer } = validateCustomer(req.body.customer);
+    if (customerError) {
+      return res.status(400).json({ error: customerError.details[0].message });
+    }
+    
+    let context;
     try {
-      const result = CouponService.applyCouponToCart(coupon, value);
-      coupon.currentUsage += 1;
-      await coupon.save();
+      context = await RedemptionService.buildCustomerContext(customer);
+    } catch (error) {
+      console.error('Apply coupon error:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+    
+    // Preview only: usage is counted when the coupon is redeemed against an order
+    try {
+      const result = CouponService.applyCouponToCart(coupon, value, context);
+      WebhookService.emitCouponEvent('coupon.applied', coupon, {
+        actor: getActor(req),
+        userId: customer && customer.userId,
+        cartTotal: result.updatedCart.totalPrice,
+        discountAmount: result.discountResult.discount
+      });
       
       res.json({
         message: 'Coupon applied successfully',
@@ -172,5 +521,273 @@ async updateCoupon(req, res) {
     } catch (error) {
       res.status(400).json({ error: error.message });
     }
+  },
+  
+  // Apply several coupons to a cart in priority order
+  async applyCoupons(req, res) {
+    const { error, value } = validateCart(req.body.cart);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const { error: codesError, value: codes } = validateCouponCodes(req.body.codes);
+    if (codesError) {
+      return res.status(400).json({ error: codesError.details[0].message });
+    }
+    
+    const { error: customerError, value: customer } = validateCustomer(req.body.customer);
+    if (customerError) {
+      return res.status(400).json({ error: customerError.details[0].message });
+    }
+    
+    // Codes may be coupon codes or codes generated for a batch coupon
+    const resolved = await Promise.all(codes.map(code => CodeBatchService.resolveCode(code)));
+    const missingCodes = codes.filter((code, index) => !resolved[index]);
+    if (missingCodes.length > 0) {
+      return res.status(404).json({ error: `Coupon not found: ${missingCodes.join(', ')}` });
+    }
+    
+    const usedCode = resolved.find(({ batchCode }) => batchCode && batchCode.isUsedUp());
+    if (usedCode) {
+      return res.status(400).json({ error: `Code ${usedCode.batchCode.code} has already been used` });
+    }
+    
+    // Keep the requested order so it breaks ties between equal priorities
+    const orderedCoupons = resolved.map(({ coupon }) => coupon);
+    const couponIds = orderedCoupons.map(coupon => coupon._id.toString());
+    if (new Set(couponIds).size !== couponIds.length) {
+      return res.status(400).json({ error: 'Several codes belong to the same coupon' });
+    }
+    const context = await RedemptionService.buildCustomerContext(customer);
+    
+    try {
+      const result = CouponService.applyCouponsToCart(orderedCoupons, value, context);
+      
+      res.json({
+        message: 'Coupons applied successfully',
+        ...result
+      });
+      
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+  
+  // Redeem a coupon against an order and record it in the ledger
+  async redeemCoupon(req, res) {
+    const { error, value } = validateCart(req.body.cart);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const { error: orderError, value: order } = validateRedemption({
+      orderId: req.body.orderId,
+      userId: req.body.userId
+    });
+    if (orderError) {
+      return res.status(400).json({ error: orderError.details[0].message });
+    }
+    
+    const { error: customerError, value: customer } = validateCustomer(req.body.customer);
+    if (customerError) {
+      return res.status(400).json({ error: customerError.details[0].message });
+    }
+    
+    // By id, or by code so generated batch codes can be redeemed
+    const resolved = req.params.code
+      ? await CodeBatchService.resolveCode(req.params.code.toUpperCase())
+      : { coupon: isObjectId(req.params.id) && await Coupon.findById(req.params.id), batchCode: null };
+    if (!resolved || !resolved.coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+    const { coupon, batchCode } = resolved;
+    
+    try {
+      const { redemption, coupon: redeemedCoupon, currentUsage, ...result } = await RedemptionService.redeemCoupon(
+        coupon, value, order, customer, batchCode
+      );
+      WebhookService.emitRedemptionEvents(redeemedCoupon, redemption, getActor(req));
+      
+      res.status(201).json({
+        message: 'Coupon redeemed successfully',
+        redemptionId: redemption._id,
+        coupon: {
+          id: coupon._id,
+          code: coupon.code,
+          type: coupon.type,
+          currentUsage
+        },
+        redeemedCode: redemption.couponCode,
+        ...result
+      });
+      
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+  
+  // Reverse the coupons redeemed for an order, in full or for returned items
+  async reverseRedemption(req, res) {
+    const { error, value } = validateReversal({
+      couponCode: req.body.couponCode,
+      items: req.body.items,
+      reason: req.body.reason
+    });
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    try {
+      const reversals = await RedemptionService.reverseOrderRedemptions(req.params.orderId, value);
+      if (!reversals) {
+        return res.status(404).json({ error: 'No active redemption found for this order' });
+      }
+      
+      const failed = reversals.filter(reversal => reversal.error).length;
+      if (failed === reversals.length) {
+        return res.status(409).json({
+          error: 'No redemption could be reversed',
+          orderId: req.params.orderId,
+          reversals
+        });
+      }
+      
+      res.json({
+        message: failed > 0
+          ? `${reversals.length - failed} of ${reversals.length} redemptions reversed; retry the rest`
+          : 'Redemption reversed successfully',
+        orderId: req.params.orderId,
+        reversals
+      });
+      
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+  
+  // Hold a use of a coupon for a cart or order until checkout completes
+  async reserveCoupon(req, res) {
+    const { error, value } = validateCart(req.body.cart);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const { error: checkoutError, value: checkout } = validateReservation({
+      orderId: req.body.orderId,
+      cartId: req.body.cartId,
+      userId: req.body.userId,
+      ttlSeconds: req.body.ttlSeconds
+    });
+    if (checkoutError) {
+      return res.status(400).json({ error: checkoutError.details[0].message });
+    }
+    
+    const { error: customerError, value: customer } = validateCustomer(req.body.customer);
+    if (customerError) {
+      return res.status(400).json({ error: customerError.details[0].message });
+    }
+    
+    const coupon = isObjectId(req.params.id) && await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+    
+    try {
+      const { reservation, currentUsage, reservedUsage, ...result } = await ReservationService.reserveCoupon(
+        coupon, value, checkout, customer
+      );
+      
+      res.status(201).json({
+        message: 'Coupon reserved successfully',
+        reservationId: reservation._id,
+        expiresAt: reservation.expiresAt,
+        coupon: {
+          id: coupon._id,
+          code: coupon.code,
+          type: coupon.type,
+          currentUsage,
+          reservedUsage
+        },
+        ...result
+      });
+      
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+  
+  async getReservation(req, res) {
+    const reservation = isObjectId(req.params.reservationId) && await Reservation.findById(req.params.reservationId);
+    if (!reservation) {
+      return res.status(404).json({ error: 'Reservation not found' });
+    }
+    res.json(reservation);
+  },
+  
+  // Count the held use once the order is confirmed
+  async commitReservation(req, res) {
+    const { error, value } = validateReservationCommit({ orderId: req.body.orderId });
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const reservation = isObjectId(req.params.reservationId) && await Reservation.findById(req.params.reservationId);
+    if (!reservation) {
+      return res.status(404).json({ error: 'Reservation not found' });
+    }
+    
+    try {
+      const { redemption, coupon, currentUsage } = await ReservationService.commitReservation(reservation, value);
+      if (coupon) {
+        WebhookService.emitRedemptionEvents(coupon, redemption, getActor(req));
+      }
+      
+      res.status(201).json({
+        message: 'Reservation committed successfully',
+        reservationId: reservation._id,
+        redemptionId: redemption._id,
+        coupon: {
+          id: reservation.coupon,
+          code: reservation.couponCode,
+          currentUsage
+        },
+        orderId: redemption.orderId,
+        discountAmount: redemption.discountAmount
+      });
+      
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+  
+  // Give the held use back when the order is cancelled or abandoned
+  async releaseReservation(req, res) {
+    const reservation = isObjectId(req.params.reservationId) && await Reservation.findById(req.params.reservationId);
+    if (!reservation) {
+      return res.status(404).json({ error: 'Reservation not found' });
+    }
+    
+    try {
+      const released = await ReservationService.releaseReservation(reservation);
+      res.json({ message: 'Reservation released successfully', reservation: released });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  },
+  
+  // Usage count and redemption history for a coupon
+  async getCouponRedemptions(req, res) {
+    const { error, value } = validateRedemptionQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const coupon = await Coupon.findOne({ code: req.params.id });
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+    
+    const history = await RedemptionService.getCouponRedemptions(coupon, value);
+    res.json(history);
   }
 };
@@ -0,0 +1,102 @@
+import WebhookSubscription from '../models/webhookSubscription.js';
+import WebhookDelivery from '../models/webhookDelivery.js';
+import { WebhookService } from '../services/webhookService.js';
+import { validateWebhook, validateWebhookDeliveryQuery } from '../utils/validators.js';
+import { isObjectId } from '../utils/ids.js';
+
+export const webhookController = {
+  
+  // Register an endpoint; the signing secret is returned only here
+  async createWebhook(req, res) {
+    const { error, value } = validateWebhook(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const secret = WebhookService.generateSecret();
+    const subscription = new WebhookSubscription({ ...value, secret, createdBy: req.auth.id });
+    await subscription.save();
+    
+    const { secret: omitted, ...webhook } = subscription.toJSON();
+    res.status(201).json({
+      message: 'Webhook created successfully',
+      webhook,
+      secret
+    });
+  },
+  
+  async getAllWebhooks(req, res) {
+    const webhooks = await WebhookSubscription.find().sort({ createdAt: -1 });
+    res.json({
+      count: webhooks.length,
+      webhooks
+    });
+  },
+  
+  async getWebhookById(req, res) {
+    const webhook = isObjectId(req.params.id) && await WebhookSubscription.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(webhook);
+  },
+  
+  async updateWebhook(req, res) {
+    const { error, value } = validateWebhook(req.body, true);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const webhook = isObjectId(req.params.id) && await WebhookSubscription.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    Object.assign(webhook, value, { updatedAt: new Date() });
+    await webhook.save();
+    
+    res.json({
+      message: 'Webhook updated successfully',
+      webhook
+    });
+  },
+  
+  // Pending deliveries to a deleted webhook fail on their next attempt; the log is kept
+  async deleteWebhook(req, res) {
+    const webhook = isObjectId(req.params.id) && await WebhookSubscription.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    await webhook.deleteOne();
+    res.json({ message: 'Webhook deleted successfully' });
+  },
+  
+  // Delivery log with the outcome of every attempt, newest first
+  async getWebhookDeliveries(req, res) {
+    const { error, value } = validateWebhookDeliveryQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const webhook = isObjectId(req.params.id) && await WebhookSubscription.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    const filter = { subscription: webhook._id };
+    if (value.status) {
+      filter.status = value.status;
+    }
+    if (value.event) {
+      filter.event = value.event;
+    }
+    const deliveries = await WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(value.limit);
+    
+    res.json({
+      webhookId: webhook._id,
+      count: deliveries.length,
+      deliveries
+    });
+  }
+};
@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+import { verifyJwt } from '../utils/jwt.js';
+
+export const ROLES = ['admin', 'storefront'];
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+// API_KEYS is a comma-separated list of key:role:name, e.g. "k1:admin:backoffice,k2:storefront:web".
+// Keys are kept hashed so lookups do not compare raw secrets.
+function loadApiKeys(config = process.env.API_KEYS || '') {
+  const keys = new Map();
+  config.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [key, role, name] = entry.split(':').map(part => part.trim());
+    if (!key || !ROLES.includes(role)) {
+      throw new Error(`Invalid API_KEYS entry for ${name || 'unnamed key'}: role must be one of ${ROLES.join(', ')}`);
+    }
+    keys.set(hashKey(key), { id: name || `${role}-key`, role });
+  });
+  return keys;
+}
+
+const apiKeys = loadApiKeys();
+
+if (apiKeys.size === 0 && !process.env.JWT_SECRET) {
+  console.warn('Neither API_KEYS nor JWT_SECRET is set; every authenticated route will answer 401');
+}
+
+function unauthorized(res, message) {
+  res.set('WWW-Authenticate', 'Bearer');
+  return res.status(401).json({ error: message });
+}
+
+// Identifies the caller from an X-API-Key header or an HS256 bearer token with `sub` and `role` claims.
+// Sets req.auth = { id, role, method } for handlers that record who acted.
+export function authenticate(req, res, next) {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) {
+    const client = apiKeys.get(hashKey(apiKey));
+    if (!client) {
+      return unauthorized(res, 'Invalid API key');
+    }
+    req.auth = { ...client, method: 'api-key' };
+    return next();
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return unauthorized(res, 'Authentication required');
+  }
+  if (!process.env.JWT_SECRET) {
+    return unauthorized(res, 'Bearer tokens are not accepted');
+  }
+
+  try {
+    const claims = verifyJwt(token, process.env.JWT_SECRET);
+    if (!claims.sub || !ROLES.includes(claims.role)) {
+      return unauthorized(res, 'Token must carry a sub and a known role');
+    }
+    req.auth = { id: String(claims.sub), role: claims.role, method: 'jwt' };
+    next();
+  } catch (error) {
+    unauthorized(res, error.message);
+  }
+}
+
+// Lets the request through only for the given roles; run after authenticate
+export function authorize(...roles) {
+  return (req, res, next) => {
+    if (!req.auth || !roles.includes(req.auth.role)) {
+      return res.status(403).json({ error: `This route requires the ${roles.join(' or ')} role` });
+    }
+    next();
+  };
+}
+
+// Route guard: authenticate, then check the role
+export const requireRole = (...roles) => [authenticate, authorize(...roles)];
@@ -0,0 +1,135 @@
+import { MemoryStore } from './rateLimitStore.js';
+
+let store = new MemoryStore();
+
+// Swap the counter store, e.g. for one shared by several server instances
+export function setRateLimitStore(newStore) {
+  store = newStore;
+}
+
+const envNumber = (name, fallback) => Number(process.env[name]) || fallback;
+
+// Requests allowed per window on the lookup and apply routes
+export const RATE_LIMITS = {
+  windowMs: envNumber('RATE_LIMIT_WINDOW_MS', 60000),
+  perClient: envNumber('RATE_LIMIT_PER_CLIENT', 600),
+  perIp: envNumber('RATE_LIMIT_PER_IP', 60),
+  perServerIp: envNumber('RATE_LIMIT_PER_SERVER_IP', 6000)
+};
+
+// Clients (API key names or token subs) that call from a backend on behalf of many shoppers,
+// e.g. SERVER_CLIENTS=web,checkout. They get the per-server IP limit and may name the
+// shopper a request is for in X-Shopper-Id.
+export const SERVER_CLIENTS = new Set(
+  (process.env.SERVER_CLIENTS || '').split(',').map(name => name.trim()).filter(Boolean)
+);
+
+const isServerClient = req => SERVER_CLIENTS.has(req.auth.id);
+
+// Who code lookup failures are counted against: the shopper a server client names, else the
+// caller's IP, which behind TRUST_PROXY is the end client's address from X-Forwarded-For
+function shopperKey(req) {
+  const shopperId = isServerClient(req) && req.get('X-Shopper-Id');
+  return `${req.auth.id}:${shopperId ? `shopper:${shopperId}` : `ip:${req.ip}`}`;
+}
+
+// Misses allowed before a client and IP are locked out of code lookups
+export const CODE_LOOKUP_LIMITS = {
+  maxFailures: envNumber('CODE_LOOKUP_MAX_FAILURES', 10),
+  failureWindowMs: envNumber('CODE_LOOKUP_FAILURE_WINDOW_MS', 15 * 60000),
+  lockoutMs: envNumber('CODE_LOOKUP_LOCKOUT_MS', 15 * 60000)
+};
+
+function secondsUntil(resetAt) {
+  return Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+}
+
+function tooManyRequests(res, resetAt, message) {
+  const retryAfter = secondsUntil(resetAt);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: message, retryAfter });
+}
+
+// Counts each request against both the caller's client and IP limits; run after authenticate.
+// Server clients are counted per IP under their own, higher limit.
+// If the store is unreachable requests are let through rather than failing checkout.
+export function rateLimit({ windowMs, perClient, perIp, perServerIp } = RATE_LIMITS) {
+  return async (req, res, next) => {
+    const server = isServerClient(req);
+    let limits;
+    try {
+      const [client, ip] = await Promise.all([
+        store.increment(`rate:client:${req.auth.id}`, windowMs),
+        store.increment(`rate:${server ? 'server-ip' : 'ip'}:${req.ip}`, windowMs)
+      ]);
+      limits = [
+        { ...client, limit: perClient, message: 'Too many requests from this client' },
+        { ...ip, limit: server ? perServerIp : perIp, message: 'Too many requests from this IP address' }
+      ];
+    } catch (error) {
+      console.error('Rate limit store failed:', error);
+      return next();
+    }
+
+    // Report whichever limit is closest to running out
+    const tightest = limits.reduce((a, b) => (b.limit - b.count < a.limit - a.count ? b : a));
+    res.set({
+      'RateLimit-Limit': String(tightest.limit),
+      'RateLimit-Remaining': String(Math.max(0, tightest.limit - tightest.count)),
+      'RateLimit-Reset': String(secondsUntil(tightest.resetAt))
+    });
+
+    const exceeded = limits.find(({ count, limit }) => count > limit);
+    if (exceeded) {
+      return tooManyRequests(res, exceeded.resetAt, exceeded.message);
+    }
+    next();
+  };
+}
+
+// Counts each 404 as a failed code lookup for the shopper; enough of them within the
+// window lock that shopper out of codeLookupGuard routes for a while
+function countFailure(res, key, { maxFailures, failureWindowMs, lockoutMs }) {
+  res.on('finish', () => {
+    if (res.statusCode !== 404) return;
+    store.increment(`lookup-failures:${key}`, failureWindowMs)
+      .then(failures => {
+        if (failures.count < maxFailures) return;
+        console.warn(`Locked out ${key} after ${failures.count} failed coupon code lookups`);
+        return Promise.all([
+          store.increment(`lockout:${key}`, lockoutMs),
+          store.reset(`lookup-failures:${key}`)
+        ]);
+      })
+      .catch(error => console.error('Rate limit store failed:', error));
+  });
+}
+
+// Guards routes that only look a coupon up by code: a locked out shopper is turned away,
+// and misses count towards a lockout. Successful lookups do not clear misses, so valid
+// codes cannot be used to keep guessing.
+export function codeLookupGuard(limits = CODE_LOOKUP_LIMITS) {
+  return async (req, res, next) => {
+    const key = shopperKey(req);
+    try {
+      const lockout = await store.get(`lockout:${key}`);
+      if (lockout) {
+        return tooManyRequests(res, lockout.resetAt, 'Too many failed coupon code lookups; try again later');
+      }
+    } catch (error) {
+      console.error('Rate limit store failed:', error);
+      return next();
+    }
+    countFailure(res, key, limits);
+    next();
+  };
+}
+
+// For checkout routes that take a code: misses count towards the lookup lockout, but the
+// route itself is never locked, so a shopper's typos cannot block their checkout
+export function countCodeLookupFailures(limits = CODE_LOOKUP_LIMITS) {
+  return (req, res, next) => {
+    countFailure(res, shopperKey(req), limits);
+    next();
+  };
+}
@@ -0,0 +1,47 @@
+const SWEEP_INTERVAL_MS = 60000;
+
+// Fixed-window counters kept in process memory. Any store with the same async
+// methods (e.g. one backed by Redis) can be passed to setRateLimitStore so
+// several server instances share counts:
+//   increment(key, windowMs) -> { count, resetAt }  starts a window on first hit
+//   get(key)                 -> { count, resetAt } or null once the window is over
+//   reset(key)
+export class MemoryStore {
+  constructor() {
+    this.windows = new Map();
+    // Drop finished windows so idle keys do not pile up
+    this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweeper.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+    window.count++;
+    return { count: window.count, resetAt: window.resetAt };
+  }
+
+  async get(key) {
+    const window = this.windows.get(key);
+    if (!window || window.resetAt <= Date.now()) {
+      return null;
+    }
+    return { count: window.count, resetAt: window.resetAt };
+  }
+
+  async reset(key) {
+    this.windows.delete(key);
+  }
+
+  sweep(now = Date.now()) {
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    }
+  }
+}
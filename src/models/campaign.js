@@ -0,0 +1,156 @@
+import { Schema, model } from 'mongoose';
+import { roundAmount } from '../utils/cartUtils.js';
+import { modelEvents } from '../utils/modelEvents.js';
+
+// Groups coupons under a shared discount budget in ₹
+const campaignSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  startDate: {
+    type: Date
+  },
+  endDate: {
+    type: Date
+  },
+  budget: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Discount given by redemptions of the campaign's coupons
+  consumedBudget: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Discount held by active checkout reservations, not yet committed
+  reservedBudget: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+campaignSchema.index({ isActive: 1, endDate: 1 });
+
+// Cached coupons carry their campaign, whose budget and dates change independently
+campaignSchema.post(['save', 'findOneAndUpdate'], function(campaign) {
+  if (campaign) modelEvents.emit('campaign', campaign);
+});
+
+// Method to get the budget not yet spent or held
+campaignSchema.methods.getRemainingBudget = function() {
+  return Math.max(0, roundAmount(this.budget - this.consumedBudget - (this.reservedBudget || 0)));
+};
+
+// Method to explain why the campaign's coupons cannot be used right now
+campaignSchema.methods.checkAvailability = function(now = new Date()) {
+  if (!this.isActive) {
+    return { available: false, reason: `Campaign ${this.name} is not active` };
+  }
+  if (this.startDate && now < this.startDate) {
+    return {
+      available: false,
+      reason: `Campaign ${this.name} has not started; next valid at ${this.startDate.toISOString()}`,
+      nextValidAt: this.startDate
+    };
+  }
+  if (this.endDate && now > this.endDate) {
+    return { available: false, reason: `Campaign ${this.name} has ended` };
+  }
+  if (this.getRemainingBudget() <= 0) {
+    return { available: false, reason: `Campaign ${this.name} has used its discount budget` };
+  }
+  return { available: true };
+};
+
+// Budget figures for reporting
+campaignSchema.methods.getBudgetReport = function() {
+  return {
+    budget: this.budget,
+    consumed: roundAmount(this.consumedBudget),
+    reserved: roundAmount(this.reservedBudget || 0),
+    remaining: this.getRemainingBudget(),
+    percentConsumed: this.budget > 0 ? roundAmount((this.consumedBudget / this.budget) * 100) : 100
+  };
+};
+
+// Matches campaigns with room left for `amount` once held budget is counted
+const hasBudgetFor = amount => ({
+  $expr: {
+    $lte: [
+      { $add: ['$consumedBudget', { $ifNull: ['$reservedBudget', 0] }, amount] },
+      '$budget'
+    ]
+  }
+});
+
+// Static method to spend part of the budget in a single conditional update, so
+// concurrent redemptions can never push the campaign past its budget.
+// Resolves to the updated campaign, or null when the budget cannot cover the amount.
+campaignSchema.statics.consumeBudget = function(campaignId, amount) {
+  return this.findOneAndUpdate(
+    { _id: campaignId, ...hasBudgetFor(amount) },
+    { $inc: { consumedBudget: amount }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Static method to give back budget spent by consumeBudget, e.g. on a refund
+campaignSchema.statics.releaseBudget = function(campaignId, amount) {
+  return this.findOneAndUpdate(
+    { _id: campaignId },
+    { $inc: { consumedBudget: -amount }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Static method to hold budget for a checkout reservation, under the same check as consumeBudget
+campaignSchema.statics.reserveBudget = function(campaignId, amount) {
+  return this.findOneAndUpdate(
+    { _id: campaignId, ...hasBudgetFor(amount) },
+    { $inc: { reservedBudget: amount }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Static method to turn held budget into spent budget when the order is confirmed
+campaignSchema.statics.commitReservedBudget = function(campaignId, amount) {
+  return this.findOneAndUpdate(
+    { _id: campaignId },
+    { $inc: { reservedBudget: -amount, consumedBudget: amount }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Static method to give back budget held by reserveBudget
+campaignSchema.statics.releaseReservedBudget = function(campaignId, amount) {
+  return this.findOneAndUpdate(
+    { _id: campaignId },
+    { $inc: { reservedBudget: -amount }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+};
+
+const Campaign = model('Campaign', campaignSchema);
+
+export default Campaign;
@@ -1,4 +1,16 @@
 import { Schema, model } from 'mongoose';
+import { CouponFactory } from '../strategies/couponFactory.js';
+import './campaign.js';
+import { modelEvents } from '../utils/modelEvents.js';
+import { getCouponFields } from '../utils/validators.js';
+import {
+  DAYS_OF_WEEK,
+  isValidTimeZone,
+  hasSchedule,
+  isWithinSchedule,
+  getNextScheduledTime,
+  formatZonedTime
+} from '../utils/scheduleUtils.js';
 
 const buyProductSchema = new Schema({
   productId: {
@@ -7,8 +19,13 @@ const buyProductSchema = new Schema({
   },
   quantity: {
     type: Number,
-    required: true,
-    min: 1
+    min: 1,
+    default: 1
+  },
+  // Listed unit price, used to price upsell suggestions for products not in the cart
+  price: {
+    type: Number,
+    min: 0
   }
 });
 
@@ -18,12 +35,81 @@ const getProductSchema = new Schema({
     required: true
   },
   quantity: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // Listed unit price, used to price upsell suggestions for products not in the cart
+  price: {
+    type: Number,
+    min: 0
+  }
+});
+
+const bundleProductSchema = new Schema({
+  productId: {
+    type: Number,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    min: 1,
+    default: 1
+  }
+});
+
+const tierSchema = new Schema({
+  minCartValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  maxDiscount: {
+    type: Number,
+    min: 0
+  }
+});
+
+const bxgyTierSchema = new Schema({
+  buyQuantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  getQuantity: {
     type: Number,
     required: true,
     min: 1
   }
 });
 
+const timeRangeSchema = new Schema({
+  start: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  end: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  }
+}, { _id: false });
+
+// Recurring window: days of week and/or times of day in the coupon's time zone
+const scheduleSchema = new Schema({
+  daysOfWeek: [{
+    type: String,
+    enum: DAYS_OF_WEEK
+  }],
+  timeRanges: [timeRangeSchema]
+}, { _id: false });
+
 const couponSchema = new Schema({
   code: {
     type: String,
@@ -35,8 +121,17 @@ const couponSchema = new Schema({
   },
   type: {
     type: String,
-    enum: ['CART_WISE', 'PRODUCT_WISE', 'BXGY'],
-    required: true
+    required: true,
+    validate: {
+      validator: function(value) {
+        return CouponFactory.has(value);
+      },
+      message: props => `${props.value} is not a registered coupon type`
+    }
+  },
+  discountType: {
+    type: String,
+    enum: ['PERCENTAGE', 'FIXED_AMOUNT', 'BUNDLE_PRICE']
   },
   discountValue: {
     type: Number,
@@ -44,13 +139,8 @@ const couponSchema = new Schema({
     min: 0,
     validate: {
       validator: function(value) {
-        if (this.type === 'CART_WISE') {
-          return value > 0 && value <= 100; // Percentage
-        }
-        if (this.type === 'PRODUCT_WISE') {
-          return value > 0; // Fixed amount or percentage
-        }
-        return true; // BXGY can have 0 discountValue
+        const strategy = CouponFactory.get(this.type);
+        return strategy ? strategy.isValidDiscountValue(value, this) : true;
       },
       message: 'Invalid discount value for coupon type'
     }
@@ -64,19 +154,92 @@ const couponSchema = new Schema({
     type: Number,
     min: 0
   },
+  tiers: [tierSchema], // Spend thresholds for CART_WISE coupons
   applicableProducts: [{
     type: Number
   }],
+  // Attribute targeting for PRODUCT_WISE coupons, matched case-insensitively
+  applicableCategories: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  applicableBrands: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  applicableTags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  excludedProducts: [{
+    type: Number
+  }],
+  excludedCategories: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  excludedBrands: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  excludedTags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
   buyProducts: [buyProductSchema],
   getProducts: [getProductSchema],
+  // SET needs every buy product; POOL takes any buyQuantity units from the buy products
+  bxgyMode: {
+    type: String,
+    enum: ['SET', 'POOL'],
+    default: 'SET'
+  },
+  buyQuantity: {
+    type: Number,
+    min: 1
+  },
+  getQuantity: {
+    type: Number,
+    min: 1
+  },
+  bxgyTiers: [bxgyTierSchema],
+  getDiscountPercentage: {
+    type: Number,
+    min: 1,
+    max: 100,
+    default: 100
+  },
+  bundleProducts: [bundleProductSchema],
   repetitionLimit: {
     type: Number,
     min: 1,
     default: 1
   },
+  validFrom: {
+    type: Date
+  },
   expirationDate: {
     type: Date
   },
+  schedule: {
+    type: scheduleSchema,
+    default: undefined
+  },
+  // IANA time zone the schedule is read in
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Invalid time zone'
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -85,11 +248,79 @@ const couponSchema = new Schema({
     type: Number,
     min: 1
   },
+  // Customer eligibility rules
+  perUserLimit: {
+    type: Number,
+    min: 1
+  },
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+  newCustomerDays: {
+    type: Number,
+    min: 1
+  },
+  allowedSegments: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  blockedSegments: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  isStackable: {
+    type: Boolean,
+    default: true
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  // Settings for custom coupon types registered through CouponFactory
+  typeConfig: {
+    type: Schema.Types.Mixed
+  },
+  // Campaign whose shared discount budget this coupon draws from
+  campaign: {
+    type: Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  // Batch coupons are only used through their generated child codes
+  isBatch: {
+    type: Boolean,
+    default: false
+  },
+  batchSize: {
+    type: Number,
+    min: 0
+  },
   currentUsage: {
     type: Number,
     default: 0,
     min: 0
   },
+  // Uses held by active checkout reservations, not yet committed
+  reservedUsage: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Soft delete: deleted coupons are hidden from queries until restored
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: String
+  },
+  // When the coupon.expired event was raised; cleared when the expiration date changes
+  expirationNotifiedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -103,65 +334,247 @@ const couponSchema = new Schema({
 couponSchema.index({ type: 1 });
 couponSchema.index({ isActive: 1 });
 couponSchema.index({ expirationDate: 1 });
+couponSchema.index({ validFrom: 1 });
+couponSchema.index({ campaign: 1 });
+couponSchema.index({ deletedAt: 1 });
+couponSchema.index({ currentUsage: 1 });
+couponSchema.index({ expirationNotifiedAt: 1, expirationDate: 1 });
+
+// Soft-deleted coupons are left out unless the query sets the withDeleted option
+couponSchema.pre(['find', 'findOne', 'countDocuments', 'findOneAndUpdate'], function() {
+  if (!this.getOptions().withDeleted) {
+    this.where({ deletedAt: null });
+  }
+});
+
+// A new expiration date gets its own coupon.expired event
+couponSchema.pre('save', function() {
+  if (this.isModified('expirationDate') && !this.isNew) {
+    this.expirationNotifiedAt = null;
+  }
+});
+
+// Campaign budget and dates are part of every applicability check, so load them with the coupon
+couponSchema.pre(['find', 'findOne'], function() {
+  this.populate('campaign');
+});
+
+// Keeps the active coupon cache in step with edits, deletes and usage counters
+couponSchema.post(['save', 'findOneAndUpdate'], function(coupon) {
+  if (coupon) modelEvents.emit('coupon', coupon);
+});
+
+// Method to get the campaign id whether or not the campaign is populated
+couponSchema.methods.getCampaignId = function() {
+  if (!this.campaign) return null;
+  return this.campaign._id || this.campaign;
+};
 couponSchema.index({ createdAt: -1 });
 
+// Method to check if coupon has been soft deleted
+couponSchema.methods.isDeleted = function() {
+  return Boolean(this.deletedAt);
+};
+
 // Method to check if coupon is expired
 couponSchema.methods.isExpired = function() {
   if (!this.expirationDate) return false;
-  return new Date() > this.expirationDate;
+  if (new Date() > this.expirationDate) return true;
+  // A scheduled coupon with no window left before its expiration date is spent too
+  return hasSchedule(this.schedule) && !this.getNextValidTime();
+};
+
+// Method to check if the coupon's validFrom date has been reached
+couponSchema.methods.isStarted = function(now = new Date()) {
+  return !this.validFrom || now >= this.validFrom;
 };
 
-// Method to check if coupon usage limit is reached
+// Method to check if now falls inside the coupon's recurring schedule
+couponSchema.methods.isWithinSchedule = function(now = new Date()) {
+  return isWithinSchedule(this.schedule, now, this.timezone || 'UTC');
+};
+
+// Method to get the earliest time the coupon can be used from now, or null if never again
+couponSchema.methods.getNextValidTime = function(now = new Date()) {
+  let next = this.isStarted(now) ? now : this.validFrom;
+  if (hasSchedule(this.schedule)) {
+    next = getNextScheduledTime(this.schedule, next, this.timezone || 'UTC');
+  }
+  if (!next || (this.expirationDate && next > this.expirationDate)) {
+    return null;
+  }
+  return next;
+};
+
+// Method to check if coupon usage limit is reached, counting uses held by reservations
 couponSchema.methods.isUsageLimitReached = function() {
   if (!this.usageLimit) return false;
-  return this.currentUsage >= this.usageLimit;
+  return this.currentUsage + (this.reservedUsage || 0) >= this.usageLimit;
 };
 
 // Method to check if coupon is applicable
 couponSchema.methods.isApplicable = function() {
-  return this.isActive && !this.isExpired() && !this.isUsageLimitReached();
+  return this.checkAvailability().available;
+};
+
+// Method to explain why the coupon cannot be used right now, and when it next can
+couponSchema.methods.checkAvailability = function(now = new Date()) {
+  if (!this.isActive) {
+    return { available: false, reason: 'Coupon is not active' };
+  }
+  if (this.isUsageLimitReached()) {
+    return { available: false, reason: 'Coupon usage limit reached' };
+  }
+  if (this.expirationDate && now > this.expirationDate) {
+    return { available: false, reason: 'Coupon has expired' };
+  }
+  if (this.populated('campaign') && this.campaign) {
+    const campaignAvailability = this.campaign.checkAvailability(now);
+    if (!campaignAvailability.available) {
+      return campaignAvailability;
+    }
+  }
+  if (this.isStarted(now) && this.isWithinSchedule(now)) {
+    return { available: true };
+  }
+
+  const nextValidAt = this.getNextValidTime(now);
+  if (!nextValidAt) {
+    return { available: false, reason: 'Coupon has no valid window left before it expires' };
+  }
+  const when = `${nextValidAt.toISOString()} (${formatZonedTime(nextValidAt, this.timezone || 'UTC')})`;
+  return {
+    available: false,
+    reason: this.isStarted(now)
+      ? `Coupon is outside its schedule; next valid at ${when}`
+      : `Coupon is not valid yet; next valid at ${when}`,
+    nextValidAt
+  };
+};
+
+// Settings the discount is computed from
+const PRICING_FIELDS = [
+  'type', 'discountType', 'discountValue', 'minCartValue', 'maxDiscount', 'tiers',
+  'applicableProducts', 'applicableCategories', 'applicableBrands', 'applicableTags',
+  'excludedProducts', 'excludedCategories', 'excludedBrands', 'excludedTags',
+  'buyProducts', 'getProducts', 'bxgyMode', 'buyQuantity', 'getQuantity', 'bxgyTiers',
+  'getDiscountPercentage', 'bundleProducts', 'repetitionLimit'
+];
+
+// Method to get a copy of the pricing settings, kept with reservations and redemptions so
+// returns are priced by the terms the order was placed under
+couponSchema.methods.getPricingSnapshot = function() {
+  const data = this.toObject({ depopulate: true, versionKey: false });
+  const snapshot = {};
+  PRICING_FIELDS.forEach(field => {
+    if (data[field] !== undefined && data[field] !== null) {
+      snapshot[field] = data[field];
+    }
+  });
+  return snapshot;
+};
+
+// What the offer is and when it applies; usage counters, limits, segments,
+// priority and campaign stay private to admins
+const PUBLIC_FIELDS = [
+  'code', 'type', 'discountType', 'discountValue', 'minCartValue', 'maxDiscount', 'tiers',
+  'applicableProducts', 'applicableCategories', 'applicableBrands', 'applicableTags',
+  'excludedProducts', 'excludedCategories', 'excludedBrands', 'excludedTags',
+  'buyProducts', 'getProducts', 'bxgyMode', 'buyQuantity', 'getQuantity', 'bxgyTiers',
+  'getDiscountPercentage', 'bundleProducts', 'repetitionLimit',
+  'validFrom', 'expirationDate', 'schedule', 'timezone', 'firstOrderOnly', 'newCustomerDays',
+  'isStackable', 'typeConfig'
+];
+
+// Method to get the reduced view shown to storefront clients, limited to the fields of the coupon's type
+couponSchema.methods.toPublicJSON = function(now = new Date()) {
+  const data = this.toJSON({ depopulate: true });
+  const typeFields = getCouponFields(this.type);
+  const view = {};
+  PUBLIC_FIELDS.filter(field => typeFields.includes(field)).forEach(field => {
+    const value = data[field];
+    if (value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0)) {
+      view[field] = value;
+    }
+  });
+
+  const { available, reason, nextValidAt } = this.checkAvailability(now);
+  view.availability = { available, reason, nextValidAt };
+  return view;
 };
 
 // Static method to validate coupon data based on type
 couponSchema.statics.validateCouponData = function(couponData) {
-  const errors = [];
-  
-  switch(couponData.type) {
-    case 'CART_WISE':
-      if (couponData.discountValue <= 0 || couponData.discountValue > 100) {
-        errors.push('Discount value must be between 1 and 100 for cart-wise coupons');
-      }
-      if (couponData.applicableProducts && couponData.applicableProducts.length > 0) {
-        errors.push('Cart-wise coupons should not have applicableProducts');
-      }
-      if (couponData.buyProducts || couponData.getProducts) {
-        errors.push('Cart-wise coupons should not have buyProducts or getProducts');
-      }
-      break;
-      
-    case 'PRODUCT_WISE':
-      if (!couponData.applicableProducts || couponData.applicableProducts.length === 0) {
-        errors.push('Product-wise coupons require applicableProducts');
-      }
-      if (couponData.buyProducts || couponData.getProducts) {
-        errors.push('Product-wise coupons should not have buyProducts or getProducts');
-      }
-      break;
-      
-    case 'BXGY':
-      if (!couponData.buyProducts || couponData.buyProducts.length === 0) {
-        errors.push('BxGy coupons require buyProducts');
-      }
-      if (!couponData.getProducts || couponData.getProducts.length === 0) {
-        errors.push('BxGy coupons require getProducts');
-      }
-      if (couponData.applicableProducts && couponData.applicableProducts.length > 0) {
-        errors.push('BxGy coupons should not have applicableProducts');
-      }
-      break;
+  const strategy = CouponFactory.get(couponData.type);
+  if (!strategy) {
+    return [`Unknown coupon type: ${couponData.type}`];
   }
-  
-  return errors;
+  return strategy.validateCouponData(couponData);
+};
+
+// Matches coupons with room under usageLimit once reserved uses are counted
+const hasUsageLeft = {
+  $or: [
+    { usageLimit: null },
+    {
+      $expr: {
+        $lt: [
+          { $add: ['$currentUsage', { $ifNull: ['$reservedUsage', 0] }] },
+          '$usageLimit'
+        ]
+      }
+    }
+  ]
+};
+
+// Static method to take one use of a coupon in a single conditional update,
+// so concurrent redemptions can never push currentUsage past usageLimit.
+// Resolves to the updated coupon, or null when the limit is already reached.
+couponSchema.statics.claimUsage = function(couponId) {
+  return this.findOneAndUpdate(
+    { _id: couponId, ...hasUsageLeft },
+    { $inc: { currentUsage: 1 }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Static method to give back a use taken by claimUsage. Uses taken before the
+// coupon was deleted are still given back, so a restore finds the right count.
+couponSchema.statics.releaseUsage = function(couponId, count = 1) {
+  return this.findOneAndUpdate(
+    { _id: couponId, currentUsage: { $gte: count } },
+    { $inc: { currentUsage: -count }, $set: { updatedAt: new Date() } },
+    { new: true, withDeleted: true }
+  );
+};
+
+// Static method to hold one use for a checkout reservation, under the same
+// limit check as claimUsage. Resolves to the updated coupon, or null when no use is left.
+couponSchema.statics.reserveUsage = function(couponId) {
+  return this.findOneAndUpdate(
+    { _id: couponId, ...hasUsageLeft },
+    { $inc: { reservedUsage: 1 }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Static method to turn a held use into a counted one when the order is confirmed.
+// The use was held before any delete, so it is settled on deleted coupons too.
+couponSchema.statics.commitReservedUsage = function(couponId) {
+  return this.findOneAndUpdate(
+    { _id: couponId, reservedUsage: { $gte: 1 } },
+    { $inc: { reservedUsage: -1, currentUsage: 1 }, $set: { updatedAt: new Date() } },
+    { new: true, withDeleted: true }
+  );
+};
+
+// Static method to give back a use held by reserveUsage, on deleted coupons too
+couponSchema.statics.releaseReservedUsage = function(couponId) {
+  return this.findOneAndUpdate(
+    { _id: couponId, reservedUsage: { $gte: 1 } },
+    { $inc: { reservedUsage: -1 }, $set: { updatedAt: new Date() } },
+    { new: true, withDeleted: true }
+  );
 };
 
 const Coupon = model('Coupon', couponSchema);
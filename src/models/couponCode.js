@@ -0,0 +1,65 @@
+import { Schema, model } from 'mongoose';
+
+// A generated code belonging to a batch coupon; the parent coupon holds the discount rules
+const couponCodeSchema = new Schema({
+  coupon: {
+    type: Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  usageLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  currentUsage: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+couponCodeSchema.index({ coupon: 1, createdAt: 1 });
+
+// Method to check if the code has been used up
+couponCodeSchema.methods.isUsedUp = function() {
+  return this.currentUsage >= this.usageLimit;
+};
+
+// Static method to take one use of a code in a single conditional update.
+// Resolves to the updated code, or null when it has been used up.
+couponCodeSchema.statics.claimUsage = function(codeId) {
+  return this.findOneAndUpdate(
+    { _id: codeId, $expr: { $lt: ['$currentUsage', '$usageLimit'] } },
+    { $inc: { currentUsage: 1 }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Static method to give back a use taken by claimUsage
+couponCodeSchema.statics.releaseUsage = function(codeId) {
+  return this.findOneAndUpdate(
+    { _id: codeId, currentUsage: { $gte: 1 } },
+    { $inc: { currentUsage: -1 }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+};
+
+const CouponCode = model('CouponCode', couponCodeSchema);
+
+export default CouponCode;
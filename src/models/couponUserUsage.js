@@ -0,0 +1,58 @@
+import { Schema, model } from 'mongoose';
+
+// Per-user usage counter backing Coupon.perUserLimit
+const couponUserUsageSchema = new Schema({
+  coupon: {
+    type: Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+couponUserUsageSchema.index({ coupon: 1, userId: 1 }, { unique: true });
+couponUserUsageSchema.index({ userId: 1 });
+
+// Static method to take one use for a user in a single conditional upsert.
+// Resolves to the counter, or null when the user has reached the limit.
+couponUserUsageSchema.statics.claimUsage = async function(couponId, userId, limit) {
+  try {
+    return await this.findOneAndUpdate(
+      { coupon: couponId, userId, count: { $lt: limit } },
+      { $inc: { count: 1 }, $set: { updatedAt: new Date() } },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // The upsert collides with the existing counter once it is at the limit
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Static method to give back a use taken by claimUsage
+couponUserUsageSchema.statics.releaseUsage = function(couponId, userId, count = 1) {
+  return this.findOneAndUpdate(
+    { coupon: couponId, userId, count: { $gte: count } },
+    { $inc: { count: -count }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+};
+
+const CouponUserUsage = model('CouponUserUsage', couponUserUsageSchema);
+
+export default CouponUserUsage;
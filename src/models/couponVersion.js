@@ -0,0 +1,58 @@
+import { Schema, model } from 'mongoose';
+
+export const VERSION_ACTIONS = ['CREATE', 'UPDATE', 'DELETE', 'RESTORE', 'ROLLBACK'];
+
+// One recorded change to a coupon's settings
+const couponVersionSchema = new Schema({
+  coupon: {
+    type: Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    enum: VERSION_ACTIONS,
+    required: true
+  },
+  actor: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Fields that changed, with their values before and after
+  changes: [{
+    _id: false,
+    field: String,
+    before: Schema.Types.Mixed,
+    after: Schema.Types.Mixed
+  }],
+  // Coupon settings after the change, used for rollback
+  snapshot: {
+    type: Schema.Types.Mixed,
+    required: true
+  },
+  // Version restored by a ROLLBACK
+  rolledBackTo: {
+    type: Number
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+couponVersionSchema.index({ coupon: 1, version: -1 }, { unique: true });
+
+const CouponVersion = model('CouponVersion', couponVersionSchema);
+
+export default CouponVersion;
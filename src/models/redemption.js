@@ -0,0 +1,136 @@
+import { Schema, model } from 'mongoose';
+
+export const REDEMPTION_STATUSES = ['REDEEMED', 'PARTIALLY_REVERSED', 'REVERSED'];
+
+// One refund or cancellation applied to a redemption
+const reversalSchema = new Schema({
+  type: {
+    type: String,
+    enum: ['FULL', 'PARTIAL'],
+    required: true
+  },
+  // Items returned by this reversal; empty for a full reversal
+  items: [{
+    _id: false,
+    productId: Number,
+    quantity: Number
+  }],
+  discountBefore: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  discountAfter: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  amountReversed: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const redemptionSchema = new Schema({
+  coupon: {
+    type: Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  couponCode: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  // Campaign whose budget paid for the discount
+  campaign: {
+    type: Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  // Generated code used, when the coupon is a code batch
+  batchCode: {
+    type: Schema.Types.ObjectId,
+    ref: 'CouponCode'
+  },
+  orderId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  userId: {
+    type: String,
+    trim: true
+  },
+  // Whether the redemption took a per-user use
+  userLimitClaimed: {
+    type: Boolean,
+    default: false
+  },
+  // Cart as it was priced when the coupon was redeemed
+  cart: {
+    type: Schema.Types.Mixed,
+    required: true
+  },
+  // Pricing settings of the coupon when it was redeemed
+  couponSnapshot: {
+    type: Schema.Types.Mixed
+  },
+  cartTotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  discountAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: REDEMPTION_STATUSES,
+    default: 'REDEEMED'
+  },
+  // Discount given back by reversals; the discount kept is discountAmount - reversedAmount
+  reversedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Quantities returned across all partial reversals
+  returnedItems: [{
+    _id: false,
+    productId: Number,
+    quantity: Number
+  }],
+  reversals: [reversalSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One redemption of a coupon per order
+redemptionSchema.index({ coupon: 1, orderId: 1 }, { unique: true });
+redemptionSchema.index({ coupon: 1, createdAt: -1 });
+redemptionSchema.index({ userId: 1 });
+redemptionSchema.index({ orderId: 1 });
+redemptionSchema.index({ campaign: 1, createdAt: -1 });
+redemptionSchema.index({ createdAt: -1 });
+
+// Method to get the discount the order still keeps after reversals
+redemptionSchema.methods.getNetDiscount = function() {
+  return Math.max(0, this.discountAmount - (this.reversedAmount || 0));
+};
+
+const Redemption = model('Redemption', redemptionSchema);
+
+export default Redemption;
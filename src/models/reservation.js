@@ -0,0 +1,105 @@
+import { Schema, model } from 'mongoose';
+
+export const RESERVATION_STATUSES = ['ACTIVE', 'COMMITTED', 'RELEASED', 'EXPIRED'];
+
+// A unit of a coupon's usageLimit held for one cart or order during checkout
+const reservationSchema = new Schema({
+  coupon: {
+    type: Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  couponCode: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  orderId: {
+    type: String,
+    trim: true
+  },
+  cartId: {
+    type: String,
+    trim: true
+  },
+  userId: {
+    type: String,
+    trim: true
+  },
+  // Campaign whose budget holds discountAmount for this reservation
+  campaign: {
+    type: Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  // Whether a per-user use was taken along with the coupon use
+  userLimitClaimed: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: RESERVATION_STATUSES,
+    default: 'ACTIVE'
+  },
+  // Cart as it was priced when the coupon was reserved
+  cart: {
+    type: Schema.Types.Mixed,
+    required: true
+  },
+  // Pricing settings of the coupon when it was reserved
+  couponSnapshot: {
+    type: Schema.Types.Mixed
+  },
+  discountAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  redemption: {
+    type: Schema.Types.ObjectId,
+    ref: 'Redemption'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One active hold of a coupon per order and per cart
+reservationSchema.index(
+  { coupon: 1, orderId: 1 },
+  { unique: true, partialFilterExpression: { status: 'ACTIVE', orderId: { $exists: true } } }
+);
+reservationSchema.index(
+  { coupon: 1, cartId: 1 },
+  { unique: true, partialFilterExpression: { status: 'ACTIVE', cartId: { $exists: true } } }
+);
+reservationSchema.index({ status: 1, expiresAt: 1 });
+
+// Method to check if the hold has run out
+reservationSchema.methods.isExpired = function() {
+  return new Date() > this.expiresAt;
+};
+
+// Static method to move a reservation out of ACTIVE exactly once, so the
+// held use is only ever committed or given back by a single caller.
+// Resolves to the updated reservation, or null when it is no longer active.
+reservationSchema.statics.closeActive = function(reservationId, status, update = {}) {
+  return this.findOneAndUpdate(
+    { _id: reservationId, status: 'ACTIVE' },
+    { $set: { ...update, status, updatedAt: new Date() } },
+    { new: true }
+  );
+};
+
+const Reservation = model('Reservation', reservationSchema);
+
+export default Reservation;
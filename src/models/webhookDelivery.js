@@ -0,0 +1,81 @@
+import { Schema, model } from 'mongoose';
+
+export const DELIVERY_STATUSES = ['PENDING', 'DELIVERED', 'FAILED'];
+
+// One try at posting an event to a subscription's URL
+const deliveryAttemptSchema = new Schema({
+  _id: false,
+  attemptedAt: {
+    type: Date,
+    required: true
+  },
+  // HTTP status of the response; missing when the request itself failed
+  statusCode: {
+    type: Number
+  },
+  error: {
+    type: String
+  },
+  durationMs: {
+    type: Number
+  }
+});
+
+// One event sent to one subscription, with every attempt at delivering it
+const webhookDeliverySchema = new Schema({
+  subscription: {
+    type: Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Shared by the deliveries of one event to different subscriptions
+  eventId: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'PENDING'
+  },
+  attempts: [deliveryAttemptSchema],
+  // When the next attempt is due while PENDING
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+
+// Static method to take a due delivery for one attempt. Pushing nextAttemptAt out
+// works as a lease, so the sweep and an immediate send never post the same attempt twice.
+// Resolves to the delivery, or null when it is not due or no longer pending.
+webhookDeliverySchema.statics.claimDue = function(deliveryId, leaseMs) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { _id: deliveryId, status: 'PENDING', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + leaseMs) } },
+    { new: true }
+  );
+};
+
+const WebhookDelivery = model('WebhookDelivery', webhookDeliverySchema);
+
+export default WebhookDelivery;
@@ -0,0 +1,62 @@
+import { Schema, model } from 'mongoose';
+
+export const WEBHOOK_EVENTS = [
+  'coupon.created',
+  'coupon.updated',
+  'coupon.deleted',
+  'coupon.restored',
+  'coupon.applied',
+  'coupon.redeemed',
+  'coupon.usage_limit_reached',
+  'coupon.expired'
+];
+
+// An endpoint that receives signed coupon events
+const webhookSubscriptionSchema = new Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Events delivered to the endpoint; '*' receives every event
+  events: [{
+    type: String,
+    enum: [...WEBHOOK_EVENTS, '*']
+  }],
+  description: {
+    type: String,
+    trim: true
+  },
+  // HMAC key for the X-Webhook-Signature header; only shown when the subscription is created
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+webhookSubscriptionSchema.index({ isActive: 1, events: 1 });
+
+// Method to check if the subscription wants an event
+webhookSubscriptionSchema.methods.isSubscribedTo = function(event) {
+  return this.isActive && (this.events.includes('*') || this.events.includes(event));
+};
+
+const WebhookSubscription = model('WebhookSubscription', webhookSubscriptionSchema);
+
+export default WebhookSubscription;
@@ -0,0 +1,14 @@
+import express from 'express';
+import {analyticsController} from '../controllers/analyticsController.js';
+import { requireRole } from '../middleware/auth.js';
+const router = express.Router();
+
+const admin = requireRole('admin');
+
+// Coupon and campaign performance, computed from the redemption ledger
+router.get('/analytics/coupons', admin, analyticsController.getTopCoupons);
+router.get('/analytics/coupons/:id', admin, analyticsController.getCouponAnalytics);
+router.get('/analytics/campaigns', admin, analyticsController.getTopCampaigns);
+router.get('/analytics/campaigns/:id', admin, analyticsController.getCampaignAnalytics);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import {campaignController} from '../controllers/campaignController.js';
+import { requireRole } from '../middleware/auth.js';
+const router = express.Router();
+
+const admin = requireRole('admin');
+
+// Campaign CRUD operations and budget reports
+router.post('/campaigns', admin, campaignController.createCampaign);
+router.get('/campaigns', admin, campaignController.getAllCampaigns);
+router.get('/campaigns/:id', admin, campaignController.getCampaignById);
+router.put('/campaigns/:id', admin, campaignController.updateCampaign);
+router.delete('/campaigns/:id', admin, campaignController.deleteCampaign);
+
+export default router;
@@ -1,16 +1,45 @@
 import express from 'express';
 import {couponController} from '../controllers/couponController.js';
+import { requireRole } from '../middleware/auth.js';
+import { rateLimit, codeLookupGuard, countCodeLookupFailures } from '../middleware/rateLimit.js';
 const router = express.Router();
 
+// Admins manage coupons; storefront clients can only look up, apply and redeem them
+const admin = requireRole('admin');
+const storefront = requireRole('admin', 'storefront');
+// Storefront routes are throttled; code lookups are also guarded against guessing
+const throttled = [...storefront, rateLimit()];
+
 // Coupon CRUD operations
-router.post('/coupons', couponController.createCoupon);
-router.get('/coupons', couponController.getAllCoupons);
-router.get('/coupons/:id', couponController.getCouponById);
-router.put('/coupons/:id', couponController.updateCoupon);
-router.delete('/coupons/:id', couponController.deleteCoupon);
+router.post('/coupons', admin, couponController.createCoupon);
+router.post('/coupons/batch', admin, couponController.createCouponBatch);
+router.get('/coupons/export', admin, couponController.exportCoupons);
+router.post('/coupons/import', admin, express.text({ type: 'text/csv', limit: '5mb' }), couponController.importCoupons);
+router.get('/coupons', admin, couponController.getAllCoupons);
+router.get('/coupons/:id', throttled, codeLookupGuard(), couponController.getCouponById);
+router.put('/coupons/:id', admin, couponController.updateCoupon);
+router.delete('/coupons/:id', admin, couponController.deleteCoupon);
+router.get('/coupons/:id/redemptions', admin, couponController.getCouponRedemptions);
+router.get('/coupons/:id/codes', admin, couponController.getCouponCodes);
+
+// Coupon history
+router.get('/coupons/:id/history', admin, couponController.getCouponHistory);
+router.get('/coupons/:id/history/:version', admin, couponController.getCouponVersion);
+router.post('/coupons/:id/rollback', admin, couponController.rollbackCoupon);
+router.post('/coupons/:id/restore', admin, couponController.restoreCoupon);
 
 // Coupon application
-router.post('/applicable-coupons', couponController.getApplicableCoupons);
-router.post('/apply-coupon/:id', couponController.applyCoupon);
+router.post('/applicable-coupons', throttled, couponController.getApplicableCoupons);
+router.post('/apply-coupon/:id', throttled, couponController.applyCoupon);
+router.post('/apply-coupons', throttled, couponController.applyCoupons);
+router.post('/redeem-coupon/:id', throttled, couponController.redeemCoupon);
+router.post('/redeem-code/:code', throttled, countCodeLookupFailures(), couponController.redeemCoupon);
+router.post('/orders/:orderId/reverse-redemption', admin, couponController.reverseRedemption);
+
+// Checkout reservations are part of redeeming at checkout
+router.post('/reserve-coupon/:id', throttled, couponController.reserveCoupon);
+router.get('/reservations/:reservationId', storefront, couponController.getReservation);
+router.post('/reservations/:reservationId/commit', storefront, couponController.commitReservation);
+router.post('/reservations/:reservationId/release', storefront, couponController.releaseReservation);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import {webhookController} from '../controllers/webhookController.js';
+import { requireRole } from '../middleware/auth.js';
+const router = express.Router();
+
+const admin = requireRole('admin');
+
+// Webhook subscriptions for coupon events and their delivery logs
+router.post('/webhooks', admin, webhookController.createWebhook);
+router.get('/webhooks', admin, webhookController.getAllWebhooks);
+router.get('/webhooks/:id', admin, webhookController.getWebhookById);
+router.put('/webhooks/:id', admin, webhookController.updateWebhook);
+router.delete('/webhooks/:id', admin, webhookController.deleteWebhook);
+router.get('/webhooks/:id/deliveries', admin, webhookController.getWebhookDeliveries);
+
+export default router;
@@ -0,0 +1,204 @@
+import Coupon from '../models/coupon.js';
+import { CouponFactory } from '../strategies/couponFactory.js';
+import { modelEvents } from '../utils/modelEvents.js';
+
+// Full reloads pick up writes made by other server instances and drop expired coupons
+const CACHE_TTL_MS = Number(process.env.COUPON_CACHE_TTL_MS) || 60000;
+
+const normalize = value => String(value).trim().toLowerCase();
+
+// Coupons that can apply now or later: active, not a code batch (those need one of their
+// generated codes), not deleted and not expired. Start dates, schedules, usage limits and
+// campaigns are checked on every request, since they change with time and counters.
+function isCacheable(coupon, now = new Date()) {
+  return coupon.isActive &&
+    !coupon.isBatch &&
+    !coupon.isDeleted() &&
+    !(coupon.expirationDate && coupon.expirationDate <= now);
+}
+
+function targetKeys({ products = [], categories = [], brands = [], tags = [] }) {
+  return [
+    ...products.map(productId => `product:${productId}`),
+    ...categories.map(category => `category:${normalize(category)}`),
+    ...brands.map(brand => `brand:${normalize(brand)}`),
+    ...tags.map(tag => `tag:${normalize(tag)}`)
+  ];
+}
+
+function cartKeys(cart) {
+  const keys = new Set();
+  cart.items.forEach(item => {
+    keys.add(`product:${item.productId}`);
+    if (item.category) keys.add(`category:${normalize(item.category)}`);
+    if (item.brand) keys.add(`brand:${normalize(item.brand)}`);
+    (item.tags || []).forEach(tag => keys.add(`tag:${normalize(tag)}`));
+  });
+  return keys;
+}
+
+// Active coupons held in process memory, indexed by the cart attributes each coupon type
+// needs (see CouponStrategy.getCandidateTargets), so a cart is only checked against
+// coupons that could apply to it. Model writes are followed through modelEvents.
+export class ActiveCouponCache {
+  constructor({ ttlMs = CACHE_TTL_MS } = {}) {
+    this.ttlMs = ttlMs;
+    this.entries = new Map();    // coupon id -> { coupon, keys }
+    this.index = new Map();      // target key -> Set of coupon ids
+    this.unindexed = new Set();  // coupon ids checked against every cart
+    this.loadedAt = 0;
+    this.loading = null;
+    this.changedWhileLoading = null;
+    this.refreshing = new Map();
+    this.refreshAgain = new Set();
+  }
+
+  listen(events) {
+    events.on('coupon', coupon => this.handleCouponChange(coupon));
+    events.on('campaign', campaign => this.handleCampaignChange(campaign));
+  }
+
+  // Candidate coupons for the cart. The first call waits for the load; after the TTL
+  // the stale set keeps serving while a reload runs in the background.
+  async getCandidates(cart) {
+    if (!this.loadedAt) {
+      await this.load();
+    } else if (Date.now() - this.loadedAt > this.ttlMs) {
+      this.load().catch(error => console.error('Active coupon cache reload failed:', error));
+    }
+    return this.findCandidates(cart);
+  }
+
+  findCandidates(cart) {
+    const ids = new Set(this.unindexed);
+    cartKeys(cart).forEach(key => {
+      const matches = this.index.get(key);
+      if (matches) matches.forEach(id => ids.add(id));
+    });
+    return [...ids].map(id => this.entries.get(id).coupon);
+  }
+
+  // Concurrent callers share one query
+  load() {
+    if (!this.loading) {
+      const now = new Date();
+      this.changedWhileLoading = new Set();
+      this.loading = Coupon.find({
+        isActive: true,
+        isBatch: { $ne: true },
+        $or: [{ expirationDate: { $gt: now } }, { expirationDate: null }]
+      })
+        .then(coupons => {
+          const changed = this.changedWhileLoading;
+          this.replace(coupons);
+          // The query may have read these before they were written
+          changed.forEach(id => this.refreshCoupon(id)
+            .catch(error => console.error(`Active coupon cache refresh of ${id} failed:`, error)));
+        })
+        .finally(() => {
+          this.loading = null;
+          this.changedWhileLoading = null;
+        });
+    }
+    return this.loading;
+  }
+
+  replace(coupons) {
+    this.entries.clear();
+    this.index.clear();
+    this.unindexed.clear();
+    coupons.forEach(coupon => this.set(coupon));
+    this.loadedAt = Date.now();
+  }
+
+  set(coupon) {
+    const id = coupon._id.toString();
+    this.remove(id);
+
+    const strategy = CouponFactory.get(coupon.type);
+    const targets = strategy ? strategy.getCandidateTargets(coupon) : null;
+    const keys = targets ? targetKeys(targets) : null;
+    this.entries.set(id, { coupon, keys });
+    if (!keys) {
+      this.unindexed.add(id);
+      return;
+    }
+    keys.forEach(key => {
+      if (!this.index.has(key)) this.index.set(key, new Set());
+      this.index.get(key).add(id);
+    });
+  }
+
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+    this.entries.delete(id);
+    this.unindexed.delete(id);
+    (entry.keys || []).forEach(key => {
+      const matches = this.index.get(key);
+      matches.delete(id);
+      if (matches.size === 0) this.index.delete(key);
+    });
+  }
+
+  // Re-reads one coupon with its campaign. A write landing during the read queues one more.
+  refreshCoupon(id) {
+    if (this.refreshing.has(id)) {
+      this.refreshAgain.add(id);
+      return this.refreshing.get(id);
+    }
+    const refresh = Coupon.findById(id)
+      .then(coupon => {
+        if (coupon && isCacheable(coupon)) {
+          this.set(coupon);
+        } else {
+          this.remove(id);
+        }
+      })
+      .finally(() => {
+        this.refreshing.delete(id);
+        if (this.refreshAgain.delete(id)) {
+          this.refreshCoupon(id)
+            .catch(error => console.error(`Active coupon cache refresh of ${id} failed:`, error));
+        }
+      });
+    this.refreshing.set(id, refresh);
+    return refresh;
+  }
+
+  // Written documents may lack the populated campaign, so coupons that stay are re-read
+  handleCouponChange(coupon) {
+    const id = coupon._id.toString();
+    if (this.changedWhileLoading) {
+      this.changedWhileLoading.add(id);
+    }
+    if (!this.loadedAt) return;
+    if (!isCacheable(coupon)) {
+      this.remove(id);
+      return;
+    }
+    this.refreshCoupon(id)
+      .catch(error => console.error(`Active coupon cache refresh of ${id} failed:`, error));
+  }
+
+  handleCampaignChange(campaign) {
+    const campaignId = campaign._id.toString();
+    this.entries.forEach(({ coupon }) => {
+      if (coupon.populated('campaign') && coupon.campaign && coupon.campaign._id.toString() === campaignId) {
+        coupon.campaign = campaign;
+      }
+    });
+  }
+
+  getStats() {
+    return {
+      coupons: this.entries.size,
+      unindexed: this.unindexed.size,
+      indexKeys: this.index.size,
+      loadedAt: this.loadedAt ? new Date(this.loadedAt) : null
+    };
+  }
+}
+
+export const activeCouponCache = new ActiveCouponCache();
+activeCouponCache.listen(modelEvents);
@@ -0,0 +1,151 @@
+import { Types } from 'mongoose';
+import Redemption from '../models/redemption.js';
+import Coupon from '../models/coupon.js';
+import Campaign from '../models/campaign.js';
+import { roundAmount } from '../utils/cartUtils.js';
+
+const DEFAULT_PERIOD_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Keeps hourly series to a month of buckets
+const MAX_HOURLY_PERIOD_DAYS = 31;
+
+const BUCKET_FORMATS = {
+  day: '%Y-%m-%d',
+  hour: '%Y-%m-%dT%H:00'
+};
+
+// Fully reversed redemptions gave nothing away and brought no order
+const KEPT = { $ne: ['$status', 'REVERSED'] };
+
+// Accumulators shared by every report. Revenue is the cart total before discount;
+// the discount is what the order kept after partial reversals.
+const METRIC_ACCUMULATORS = {
+  redemptions: { $sum: { $cond: [KEPT, 1, 0] } },
+  reversals: { $sum: { $cond: [KEPT, 0, 1] } },
+  discountGiven: { $sum: { $subtract: ['$discountAmount', { $ifNull: ['$reversedAmount', 0] }] } },
+  grossRevenue: { $sum: { $cond: [KEPT, '$cartTotal', 0] } }
+};
+
+// What customers paid on average for orders that used the coupon
+const AVERAGE_ORDER_VALUE = {
+  $cond: [
+    { $gt: ['$redemptions', 0] },
+    { $divide: [{ $subtract: ['$grossRevenue', '$discountGiven'] }, '$redemptions'] },
+    0
+  ]
+};
+
+function formatMetrics(group) {
+  const metrics = group || { redemptions: 0, reversals: 0, discountGiven: 0, grossRevenue: 0 };
+  return {
+    redemptions: metrics.redemptions,
+    reversals: metrics.reversals,
+    discountGiven: roundAmount(metrics.discountGiven),
+    grossRevenue: roundAmount(metrics.grossRevenue),
+    averageOrderValue: metrics.redemptions > 0
+      ? roundAmount((metrics.grossRevenue - metrics.discountGiven) / metrics.redemptions)
+      : 0
+  };
+}
+
+// Fills in the default period: the 30 days up to `to`, or up to now
+function resolvePeriod({ from, to }) {
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - DEFAULT_PERIOD_DAYS * DAY_MS);
+  return { from: start, to: end };
+}
+
+export class AnalyticsService {
+
+  // Totals and a daily or hourly series for the redemptions matching `match`
+  static async getReport(match, { interval, timezone, ...period }) {
+    const { from, to } = resolvePeriod(period);
+    if (interval === 'hour' && to - from > MAX_HOURLY_PERIOD_DAYS * DAY_MS) {
+      throw new Error(`Hourly series cover at most ${MAX_HOURLY_PERIOD_DAYS} days`);
+    }
+
+    const [result] = await Redemption.aggregate([
+      { $match: { ...match, createdAt: { $gte: from, $lt: to } } },
+      {
+        $facet: {
+          totals: [{ $group: { _id: null, ...METRIC_ACCUMULATORS } }],
+          series: [
+            {
+              $group: {
+                _id: { $dateToString: { format: BUCKET_FORMATS[interval], date: '$createdAt', timezone } },
+                ...METRIC_ACCUMULATORS
+              }
+            },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    return {
+      from,
+      to,
+      interval,
+      timezone,
+      totals: formatMetrics(result.totals[0]),
+      // Buckets without redemptions are left out
+      series: result.series.map(bucket => ({ period: bucket._id, ...formatMetrics(bucket) }))
+    };
+  }
+
+  static getCouponReport(coupon, options) {
+    return this.getReport({ coupon: coupon._id }, options);
+  }
+
+  static getCampaignReport(campaign, options) {
+    return this.getReport({ campaign: campaign._id }, options);
+  }
+
+  // Coupons or campaigns (`groupBy`) with the highest `metric` over the period
+  static async getTopPerformers(groupBy, { metric, limit, campaign, ...period }) {
+    const { from, to } = resolvePeriod(period);
+    const match = { createdAt: { $gte: from, $lt: to } };
+    if (groupBy === 'campaign') {
+      match.campaign = { $ne: null };
+    } else if (campaign) {
+      // Aggregation pipelines are not cast by the schema
+      match.campaign = new Types.ObjectId(campaign);
+    }
+
+    const groups = await Redemption.aggregate([
+      { $match: match },
+      { $group: { _id: `$${groupBy}`, ...METRIC_ACCUMULATORS } },
+      { $addFields: { averageOrderValue: AVERAGE_ORDER_VALUE } },
+      { $sort: { [metric]: -1, _id: 1 } },
+      { $limit: limit }
+    ]);
+
+    const ids = groups.map(group => group._id);
+    const names = new Map();
+    if (groupBy === 'campaign') {
+      const campaigns = await Campaign.find({ _id: { $in: ids } }, { name: 1 });
+      campaigns.forEach(found => names.set(found._id.toString(), { name: found.name }));
+    } else {
+      // Deleted coupons keep their history, so they still rank
+      const coupons = await Coupon.find({ _id: { $in: ids } }, { code: 1, type: 1, deletedAt: 1 })
+        .setOptions({ withDeleted: true });
+      coupons.forEach(found => names.set(found._id.toString(), {
+        code: found.code,
+        type: found.type,
+        deleted: found.isDeleted()
+      }));
+    }
+
+    return {
+      from,
+      to,
+      metric,
+      [groupBy === 'campaign' ? 'campaigns' : 'coupons']: groups.map((group, index) => ({
+        rank: index + 1,
+        id: group._id,
+        ...names.get(group._id.toString()),
+        ...formatMetrics(group)
+      }))
+    };
+  }
+}
@@ -0,0 +1,43 @@
+import Coupon from '../models/coupon.js';
+import Redemption from '../models/redemption.js';
+import { roundAmount } from '../utils/cartUtils.js';
+
+export class CampaignService {
+
+  // Budget consumed versus remaining, with the coupons drawing from it
+  static async getCampaignReport(campaign) {
+    const [coupons, totals] = await Promise.all([
+      Coupon.find({ campaign: campaign._id }, { code: 1, type: 1, isActive: 1, currentUsage: 1 }),
+      Redemption.aggregate([
+        { $match: { campaign: campaign._id, status: { $ne: 'REVERSED' } } },
+        {
+          $group: {
+            _id: null,
+            count: { $sum: 1 },
+            totalDiscount: { $sum: { $subtract: ['$discountAmount', { $ifNull: ['$reversedAmount', 0] }] } }
+          }
+        }
+      ])
+    ]);
+
+    return {
+      id: campaign._id,
+      name: campaign.name,
+      description: campaign.description,
+      startDate: campaign.startDate,
+      endDate: campaign.endDate,
+      isActive: campaign.isActive,
+      availability: campaign.checkAvailability(),
+      ...campaign.getBudgetReport(),
+      redemptions: totals.length > 0 ? totals[0].count : 0,
+      redeemedDiscount: totals.length > 0 ? roundAmount(totals[0].totalDiscount) : 0,
+      coupons: coupons.map(coupon => ({
+        id: coupon._id,
+        code: coupon.code,
+        type: coupon.type,
+        isActive: coupon.isActive,
+        currentUsage: coupon.currentUsage
+      }))
+    };
+  }
+}
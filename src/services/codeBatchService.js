@@ -0,0 +1,111 @@
+import Coupon from '../models/coupon.js';
+import CouponCode from '../models/couponCode.js';
+import { generateCode, countCombinations } from '../utils/codeGenerator.js';
+
+const DUPLICATE_KEY_ERROR = 11000;
+const INSERT_CHUNK_SIZE = 1000;
+const MAX_GENERATION_ROUNDS = 10;
+
+// Keeps random collisions rare: the code space must be this many times the batch size
+const MIN_COMBINATIONS_PER_CODE = 1000;
+
+export class CodeBatchService {
+
+  // Creates a batch coupon from the template and `count` single-use child codes
+  static async createBatch(template, { count, prefix, length, alphabet, codeUsageLimit }) {
+    if (countCombinations(alphabet, length) < count * MIN_COMBINATIONS_PER_CODE) {
+      throw new Error(`Code length ${length} with ${alphabet.length} characters is too short for ${count} codes`);
+    }
+
+    const coupon = new Coupon({ ...template, isBatch: true, batchSize: 0 });
+    await coupon.save();
+
+    try {
+      const generated = await this.generateCodes(coupon, { count, prefix, length, alphabet, codeUsageLimit });
+      coupon.batchSize = generated;
+      await coupon.save();
+      return coupon;
+    } catch (error) {
+      await CouponCode.deleteMany({ coupon: coupon._id });
+      await coupon.deleteOne();
+      throw error;
+    }
+  }
+
+  // Inserts codes until `count` are stored; codes taken by a coupon or another batch are redrawn
+  static async generateCodes(coupon, { count, prefix = '', length, alphabet, codeUsageLimit = 1 }) {
+    let stored = 0;
+    for (let round = 0; stored < count; round++) {
+      if (round === MAX_GENERATION_ROUNDS) {
+        throw new Error(`Could not generate ${count} unique codes; try a longer code length`);
+      }
+
+      const candidates = new Set();
+      while (candidates.size < count - stored) {
+        candidates.add(generateCode({ prefix, length, alphabet }));
+      }
+      const codes = [...candidates];
+      const takenByCoupons = new Set(
+        (await Coupon.find({ code: { $in: codes } }, { code: 1 }).setOptions({ withDeleted: true })).map(existing => existing.code)
+      );
+
+      for (let i = 0; i < codes.length; i += INSERT_CHUNK_SIZE) {
+        const docs = codes
+          .slice(i, i + INSERT_CHUNK_SIZE)
+          .filter(code => !takenByCoupons.has(code))
+          .map(code => ({ coupon: coupon._id, code, usageLimit: codeUsageLimit }));
+        stored += await this.insertIgnoringDuplicates(docs);
+      }
+    }
+    return stored;
+  }
+
+  // Unique index on code rejects collisions with earlier batches; the rest are kept
+  static async insertIgnoringDuplicates(docs) {
+    if (docs.length === 0) {
+      return 0;
+    }
+    try {
+      const inserted = await CouponCode.insertMany(docs, { ordered: false });
+      return inserted.length;
+    } catch (error) {
+      const writeErrors = error.writeErrors || [];
+      if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== DUPLICATE_KEY_ERROR)) {
+        throw error;
+      }
+      return error.insertedDocs ? error.insertedDocs.length : docs.length - writeErrors.length;
+    }
+  }
+
+  // Finds the coupon a code belongs to: a coupon's own code or a generated batch code
+  static async resolveCode(code) {
+    const coupon = await Coupon.findOne({ code });
+    if (coupon) {
+      return { coupon, batchCode: null };
+    }
+
+    const batchCode = await CouponCode.findOne({ code });
+    if (!batchCode) {
+      return null;
+    }
+    const parent = await Coupon.findById(batchCode.coupon);
+    return parent ? { coupon: parent, batchCode } : null;
+  }
+
+  // Codes of deleted coupons stay taken so the coupon can be restored
+  static async isCodeTaken(code) {
+    const [coupon, batchCode] = await Promise.all([
+      Coupon.exists({ code }).setOptions({ withDeleted: true }),
+      CouponCode.exists({ code })
+    ]);
+    return Boolean(coupon || batchCode);
+  }
+
+  static findBatchCodes(coupon, { unusedOnly = false } = {}) {
+    const filter = { coupon: coupon._id };
+    if (unusedOnly) {
+      filter.$expr = { $lt: ['$currentUsage', '$usageLimit'] };
+    }
+    return CouponCode.find(filter).sort({ createdAt: 1, _id: 1 });
+  }
+}
@@ -0,0 +1,96 @@
+import Coupon from '../models/coupon.js';
+import CouponVersion from '../models/couponVersion.js';
+import { validateCoupon } from '../utils/validators.js';
+import { CouponImportExportService, EXPORT_FIELDS } from './couponImportExportService.js';
+
+const DUPLICATE_KEY_ERROR = 11000;
+const MAX_VERSION_ATTEMPTS = 3;
+
+// Records every change to a coupon's settings as a numbered version
+export class CouponHistoryService {
+
+  // Settings as plain data; usage counters are not versioned
+  static snapshot(coupon) {
+    return CouponImportExportService.toExportRecord(coupon, EXPORT_FIELDS);
+  }
+
+  static diff(before, after) {
+    const fields = EXPORT_FIELDS.filter(field => field in before || field in after);
+    return fields
+      .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+      .map(field => ({ field, before: before[field], after: after[field] }));
+  }
+
+  // `before` is the snapshot taken ahead of the change; an UPDATE that changed nothing is not recorded
+  static async recordVersion(coupon, action, actor, before = {}, extra = {}) {
+    const snapshot = this.snapshot(coupon);
+    const changes = this.diff(before, snapshot);
+    if (action === 'UPDATE' && changes.length === 0) {
+      return null;
+    }
+
+    // Concurrent changes can race for the same version number; the unique index picks one
+    for (let attempt = 1; ; attempt++) {
+      const latest = await CouponVersion.findOne({ coupon: coupon._id }, { version: 1 }).sort({ version: -1 });
+      try {
+        return await CouponVersion.create({
+          coupon: coupon._id,
+          code: coupon.code,
+          version: latest ? latest.version + 1 : 1,
+          action,
+          actor,
+          changes,
+          snapshot,
+          ...extra
+        });
+      } catch (error) {
+        if (error.code !== DUPLICATE_KEY_ERROR || attempt === MAX_VERSION_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  static getHistory(coupon) {
+    return CouponVersion.find({ coupon: coupon._id }, { snapshot: 0 }).sort({ version: -1 });
+  }
+
+  static getVersion(coupon, version) {
+    return CouponVersion.findOne({ coupon: coupon._id, version });
+  }
+
+  // Puts the coupon's settings back to a recorded version and records that as a new version.
+  // The code is kept, since an older code may now belong to another coupon.
+  static async rollback(coupon, version, actor) {
+    const target = await this.getVersion(coupon, version);
+    if (!target) {
+      throw new Error(`Version ${version} of coupon ${coupon.code} not found`);
+    }
+
+    // Checked the way an update is, so a version that breaks today's rules (one already
+    // expired, say) is not restored
+    const { error } = validateCoupon({ ...target.snapshot, code: coupon.code });
+    if (error) {
+      throw new Error(`Version ${version} cannot be restored: ${error.details.map(d => d.message).join(', ')}`);
+    }
+
+    const before = this.snapshot(coupon);
+    EXPORT_FIELDS.filter(field => field !== 'code').forEach(field => {
+      const value = target.snapshot[field];
+      if (value !== undefined) {
+        coupon.set(field, value);
+      } else {
+        // Snapshots leave out empty lists and unset fields
+        coupon.set(field, Array.isArray(coupon.get(field)) ? [] : undefined);
+      }
+    });
+    const validationErrors = Coupon.validateCouponData(this.snapshot(coupon));
+    if (validationErrors.length > 0) {
+      throw new Error(`Version ${version} cannot be restored: ${validationErrors.join(', ')}`);
+    }
+    coupon.updatedAt = new Date();
+    await coupon.save();
+
+    return this.recordVersion(coupon, 'ROLLBACK', actor, before, { rolledBackTo: version });
+  }
+}
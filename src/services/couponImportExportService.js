@@ -0,0 +1,232 @@
+import Coupon from '../models/coupon.js';
+import CouponCode from '../models/couponCode.js';
+import Campaign from '../models/campaign.js';
+import { validateCoupon, getCouponFields } from '../utils/validators.js';
+import { CouponHistoryService } from './couponHistoryService.js';
+import { WebhookService } from './webhookService.js';
+import { toCsv, parseCsv } from '../utils/csv.js';
+
+export const MAX_IMPORT_ROWS = 5000;
+
+// Coupon settings that round-trip through export and import; usage counters,
+// timestamps and batch bookkeeping stay with the stored coupon
+export const EXPORT_FIELDS = [
+  'code', 'type', 'discountType', 'discountValue', 'minCartValue', 'maxDiscount', 'tiers',
+  'applicableProducts', 'applicableCategories', 'applicableBrands', 'applicableTags',
+  'excludedProducts', 'excludedCategories', 'excludedBrands', 'excludedTags',
+  'buyProducts', 'getProducts', 'bxgyMode', 'buyQuantity', 'getQuantity', 'bxgyTiers',
+  'getDiscountPercentage', 'bundleProducts', 'repetitionLimit',
+  'validFrom', 'expirationDate', 'schedule', 'timezone', 'isActive', 'usageLimit',
+  'perUserLimit', 'firstOrderOnly', 'newCustomerDays', 'allowedSegments', 'blockedSegments',
+  'isStackable', 'priority', 'typeConfig', 'campaign'
+];
+
+function isEmpty(value) {
+  return value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+}
+
+export class CouponImportExportService {
+
+  // Plain coupon settings, leaving out fields that are empty, unset or not used by the coupon's type
+  static toExportRecord(coupon, typeFields = getCouponFields(coupon.type)) {
+    const data = coupon.toObject({ depopulate: true, versionKey: false });
+    // Drop subdocument ids and empty lists, and turn ObjectIds and Dates into strings
+    const plain = JSON.parse(JSON.stringify(data, (key, value) => {
+      if (key === '_id' || (key !== '' && isEmpty(value))) {
+        return undefined;
+      }
+      return value;
+    }));
+    const record = {};
+    EXPORT_FIELDS.forEach(field => {
+      if (typeFields.includes(field) && !isEmpty(plain[field])) {
+        record[field] = plain[field];
+      }
+    });
+    return record;
+  }
+
+  static exportCoupons(coupons, format) {
+    const fieldsByType = new Map();
+    const records = coupons.map(coupon => {
+      if (!fieldsByType.has(coupon.type)) {
+        fieldsByType.set(coupon.type, getCouponFields(coupon.type));
+      }
+      return this.toExportRecord(coupon, fieldsByType.get(coupon.type));
+    });
+    if (format === 'json') {
+      return JSON.stringify({ count: records.length, coupons: records }, null, 2);
+    }
+
+    // Lists and nested settings go in a cell as JSON so every coupon type fits one sheet
+    const rows = records.map(record => {
+      const row = {};
+      Object.entries(record).forEach(([field, value]) => {
+        row[field] = typeof value === 'object' ? JSON.stringify(value) : value;
+      });
+      return row;
+    });
+    const columns = EXPORT_FIELDS.filter(field => rows.some(row => row[field] !== undefined));
+    return toCsv(columns, rows);
+  }
+
+  // Rows from a CSV string or a JSON body ({ coupons: [...] } or a bare array)
+  static parseImport(body, format) {
+    if (format === 'csv') {
+      if (typeof body !== 'string') {
+        throw new Error('CSV imports must be sent as text/csv');
+      }
+      return parseCsv(body).map(row => this.fromCsvRow(row));
+    }
+
+    const rows = Array.isArray(body) ? body : body && body.coupons;
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON imports must be an array of coupons or { "coupons": [...] }');
+    }
+    return rows;
+  }
+
+  // Blank cells are left out; cells holding a JSON list or object are parsed.
+  // Numbers, booleans and dates stay strings for Joi to convert.
+  static fromCsvRow(row) {
+    const data = {};
+    Object.entries(row).forEach(([column, cell]) => {
+      const text = cell.trim();
+      if (text === '' || !column) {
+        return;
+      }
+      if (text.startsWith('[') || text.startsWith('{')) {
+        try {
+          data[column] = JSON.parse(text);
+          return;
+        } catch (error) {
+          // Left as text; validation reports the column
+        }
+      }
+      data[column] = text;
+    });
+    return data;
+  }
+
+  // Validates every row like POST /coupons does, then creates, updates or skips it.
+  // mode: 'upsert' updates the supplied fields of coupons whose code exists, 'skip' leaves them alone.
+  // In a dry run nothing is written and each row reports what would happen.
+  // Created and updated coupons are versioned under `actor`.
+  static async importCoupons(rows, { mode = 'skip', dryRun = false } = {}, actor = 'import') {
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new Error(`An import can hold at most ${MAX_IMPORT_ROWS} coupons`);
+    }
+
+    const validated = rows.map((row, index) => this.validateRow(row, index + 1));
+    const codes = validated.filter(result => result.value).map(result => result.value.code);
+    const campaignIds = validated
+      .filter(result => result.value && result.value.campaign)
+      .map(result => result.value.campaign);
+
+    const [existingCoupons, batchCodes, campaigns] = await Promise.all([
+      Coupon.find({ code: { $in: codes } }).setOptions({ withDeleted: true }),
+      CouponCode.find({ code: { $in: codes } }, { code: 1 }),
+      Campaign.find({ _id: { $in: campaignIds } }, { _id: 1 })
+    ]);
+    const existingByCode = new Map(existingCoupons.map(coupon => [coupon.code, coupon]));
+    const takenByBatches = new Set(batchCodes.map(batchCode => batchCode.code));
+    const knownCampaigns = new Set(campaigns.map(campaign => campaign._id.toString()));
+
+    const firstRowByCode = new Map();
+    const results = [];
+    for (const { row, value, errors } of validated) {
+      const code = value ? value.code : rows[row - 1] && rows[row - 1].code;
+      if (errors.length === 0) {
+        if (firstRowByCode.has(value.code)) {
+          errors.push(`Duplicate code in import (first seen on row ${firstRowByCode.get(value.code)})`);
+        } else {
+          firstRowByCode.set(value.code, row);
+        }
+        if (takenByBatches.has(value.code)) {
+          errors.push('Code is already used by a generated coupon code');
+        }
+        if (value.campaign && !knownCampaigns.has(value.campaign)) {
+          errors.push('Campaign not found');
+        }
+        const existing = existingByCode.get(value.code);
+        if (existing && existing.isDeleted()) {
+          errors.push('Code belongs to a deleted coupon; restore it first');
+        }
+      }
+      if (errors.length > 0) {
+        results.push({ row, code, status: 'invalid', errors });
+        continue;
+      }
+
+      const existing = existingByCode.get(value.code);
+      if (existing && mode === 'skip') {
+        results.push({ row, code, status: 'skipped' });
+        continue;
+      }
+
+      const coupon = existing || new Coupon();
+      const before = existing ? CouponHistoryService.snapshot(existing) : {};
+      // Usage counters belong to the stored coupon, and an update only takes the columns
+      // the row filled in, so schema defaults never overwrite existing settings
+      const { currentUsage, ...settings } = value;
+      const supplied = rows[row - 1];
+      Object.keys(settings)
+        .filter(field => !existing || supplied[field] !== undefined)
+        .forEach(field => {
+          coupon[field] = settings[field];
+        });
+      // Type rules span fields an update row may leave out, so they run on the merged coupon
+      const mergedErrors = existing ? Coupon.validateCouponData(this.toExportRecord(coupon)) : [];
+      if (mergedErrors.length > 0) {
+        results.push({ row, code, status: 'invalid', errors: mergedErrors });
+        continue;
+      }
+      try {
+        if (dryRun) {
+          await coupon.validate();
+        } else {
+          coupon.updatedAt = new Date();
+          await coupon.save();
+          const version = await CouponHistoryService.recordVersion(coupon, existing ? 'UPDATE' : 'CREATE', actor, before);
+          if (version) {
+            WebhookService.emitCouponEvent(existing ? 'coupon.updated' : 'coupon.created', coupon, {
+              actor,
+              changes: existing ? version.changes : undefined
+            });
+          }
+        }
+        results.push({ row, code, status: existing ? 'updated' : 'created' });
+      } catch (error) {
+        results.push({ row, code, status: 'invalid', errors: [error.message] });
+      }
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+    return {
+      dryRun,
+      mode,
+      total: rows.length,
+      created: count('created'),
+      updated: count('updated'),
+      skipped: count('skipped'),
+      invalid: count('invalid'),
+      rows: results
+    };
+  }
+
+  static validateRow(row, rowNumber) {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      return { row: rowNumber, value: null, errors: ['Row must be an object'] };
+    }
+
+    const { error, value } = validateCoupon(row);
+    if (error) {
+      return { row: rowNumber, value: null, errors: error.details.map(detail => detail.message) };
+    }
+    const validationErrors = Coupon.validateCouponData(value);
+    if (validationErrors.length > 0) {
+      return { row: rowNumber, value: null, errors: validationErrors };
+    }
+    return { row: rowNumber, value, errors: [] };
+  }
+}
@@ -0,0 +1,139 @@
+import Coupon from '../models/coupon.js';
+import { isObjectId } from '../utils/ids.js';
+
+// Sort options for GET /coupons; _id breaks ties so every coupon has one place in the order
+const SORT_FIELDS = {
+  created: 'createdAt',
+  expiration: 'expirationDate',
+  usage: 'currentUsage'
+};
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Opaque cursor holding the sort and the last coupon's sort value and id
+function encodeCursor(sortBy, order, coupon) {
+  const value = coupon.get(SORT_FIELDS[sortBy]);
+  return Buffer.from(JSON.stringify({
+    sortBy,
+    order,
+    value: value === undefined ? null : value,
+    id: coupon._id.toString()
+  })).toString('base64url');
+}
+
+function decodeCursor(cursor, sortBy, order) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+  if (!decoded || typeof decoded.id !== 'string' || !isObjectId(decoded.id)) {
+    throw new Error('Invalid cursor');
+  }
+  if (decoded.sortBy !== sortBy || decoded.order !== order) {
+    throw new Error('Cursor was issued for a different sort; start again without it');
+  }
+  return decoded;
+}
+
+// Coupons after the cursor in sort order. Missing values (coupons without an
+// expiration date) sort before every value ascending and after every value descending.
+function afterCursor(field, ascending, { value, id }) {
+  const beyond = ascending ? '$gt' : '$lt';
+  const sameValueLaterId = { [field]: value, _id: { [beyond]: id } };
+  if (value === null) {
+    return ascending
+      ? { $or: [sameValueLaterId, { [field]: { $ne: null } }] }
+      : sameValueLaterId;
+  }
+  const conditions = [{ [field]: { [beyond]: value } }, sameValueLaterId];
+  if (!ascending) {
+    conditions.push({ [field]: null });
+  }
+  return { $or: conditions };
+}
+
+export class CouponQueryService {
+
+  // Mongo filter for the validated filters shared by GET /coupons and the export
+  static buildFilter({ type, active, deleted, codePrefix, search, expiresBefore, expiresAfter, exhausted, productId }) {
+    const conditions = [];
+
+    if (type) {
+      conditions.push({ type });
+    }
+    if (active !== undefined) {
+      conditions.push({ isActive: active });
+    }
+    if (deleted) {
+      conditions.push({ deletedAt: { $ne: null } });
+    }
+    // Anchored so the code index is used
+    if (codePrefix) {
+      conditions.push({ code: { $regex: `^${escapeRegex(codePrefix)}` } });
+    }
+    if (search) {
+      conditions.push({ code: { $regex: escapeRegex(search), $options: 'i' } });
+    }
+    if (expiresBefore || expiresAfter) {
+      const expirationDate = {};
+      if (expiresBefore) expirationDate.$lt = expiresBefore;
+      if (expiresAfter) expirationDate.$gt = expiresAfter;
+      conditions.push({ expirationDate });
+    }
+    // Exhausted coupons have no use left under usageLimit, counting reserved uses like redemption does
+    if (exhausted !== undefined) {
+      const usedUp = {
+        $gte: [{ $add: ['$currentUsage', { $ifNull: ['$reservedUsage', 0] }] }, '$usageLimit']
+      };
+      conditions.push(exhausted
+        ? { usageLimit: { $ne: null }, $expr: usedUp }
+        : { $or: [{ usageLimit: null }, { $expr: { $not: [usedUp] } }] });
+    }
+    // Coupons that name the product, unless they exclude it
+    if (productId !== undefined) {
+      conditions.push({
+        $or: [
+          { applicableProducts: productId },
+          { 'buyProducts.productId': productId },
+          { 'getProducts.productId': productId },
+          { 'bundleProducts.productId': productId }
+        ],
+        excludedProducts: { $ne: productId }
+      });
+    }
+
+    return conditions.length > 0 ? { $and: conditions } : {};
+  }
+
+  // One page of coupons in the requested order, the total matching the filters and
+  // the cursor for the next page (null on the last page)
+  static async listCoupons({ sortBy, order, limit, cursor, ...filters }) {
+    const field = SORT_FIELDS[sortBy];
+    const ascending = order === 'asc';
+    const filter = this.buildFilter(filters);
+
+    const pageFilter = cursor
+      ? { $and: [filter, afterCursor(field, ascending, decodeCursor(cursor, sortBy, order))] }
+      : filter;
+    const direction = ascending ? 1 : -1;
+
+    // One extra coupon tells whether another page follows
+    const [page, total] = await Promise.all([
+      Coupon.find(pageFilter)
+        .setOptions({ withDeleted: filters.deleted })
+        .sort({ [field]: direction, _id: direction })
+        .limit(limit + 1),
+      Coupon.countDocuments(filter).setOptions({ withDeleted: filters.deleted })
+    ]);
+
+    const hasMore = page.length > limit;
+    const coupons = hasMore ? page.slice(0, limit) : page;
+    return {
+      coupons,
+      total,
+      nextCursor: hasMore ? encodeCursor(sortBy, order, coupons[coupons.length - 1]) : null
+    };
+  }
+}
@@ -1,11 +1,33 @@
+import Coupon from '../models/coupon.js';
+import { CouponFactory } from '../strategies/couponFactory.js';
+import { calculateCartTotal, calculateNetCartTotal, roundAmount } from '../utils/cartUtils.js';
+import { hasSchedule } from '../utils/scheduleUtils.js';
+import { activeCouponCache } from './activeCouponCache.js';
+
+// Only the strongest stackable coupons are searched when looking for the best combination
+const MAX_COMBINATION_CANDIDATES = 12;
+const MAX_UPSELL_SUGGESTIONS = 5;
+
 export class CouponService {
   
-  static isCouponApplicable(coupon, cart) {
-    if (!coupon.isApplicable()) {
-      return { applicable: false, reason: 'Coupon is not active, expired, or usage limit reached' };
+  static isCouponApplicable(coupon, cart, context = {}) {
+    const availability = coupon.checkAvailability();
+    if (!availability.available) {
+      const { available, ...details } = availability;
+      return { applicable: false, ...details };
+    }
+    
+    const eligibility = this.checkCustomerEligibility(coupon, context);
+    if (!eligibility.eligible) {
+      return { applicable: false, reason: eligibility.reason };
     }
     
-    const cartTotal = this.calculateCartTotal(cart);
+    return this.checkCartApplicability(coupon, cart);
+  }
+
+  // Cart conditions only: minimum cart value and the coupon type's own rules
+  static checkCartApplicability(coupon, cart) {
+    const cartTotal = calculateNetCartTotal(cart);
     
     if (coupon.minCartValue && cartTotal < coupon.minCartValue) {
       return { 
@@ -13,281 +35,165 @@ export class CouponService {
         reason: `Cart total (${cartTotal}) is less than minimum required (${coupon.minCartValue})` 
       };
     }
-    switch(coupon.type) {
-      case 'CART_WISE':
-        return this.checkCartWiseApplicability(coupon, cart, cartTotal);
-        
-      case 'PRODUCT_WISE':
-        return this.checkProductWiseApplicability(coupon, cart);
-        
-      case 'BXGY':
-        return this.checkBxGyApplicability(coupon, cart);
-        
-      default:
-        return { applicable: false, reason: 'Unknown coupon type' };
-    }
-  }
-  static calculateCartTotal(cart) {
-    if (!cart || !cart.items) return 0;
     
-    return cart.items.reduce((total, item) => {
-      return total + (item.price * item.quantity);
-    }, 0);
+    const strategy = CouponFactory.get(coupon.type);
+    if (!strategy) {
+      return { applicable: false, reason: 'Unknown coupon type' };
+    }
+    return strategy.checkApplicability(coupon, cart, cartTotal);
   }
-  
-  static checkCartWiseApplicability(coupon, cart, cartTotal) {
-    return { applicable: true, cartTotal };
+
+  static hasCustomerRules(coupon) {
+    return Boolean(
+      coupon.perUserLimit ||
+      coupon.firstOrderOnly ||
+      coupon.newCustomerDays ||
+      (coupon.allowedSegments && coupon.allowedSegments.length > 0) ||
+      (coupon.blockedSegments && coupon.blockedSegments.length > 0)
+    );
   }
-  
-  static checkProductWiseApplicability(coupon, cart) {
-    if (!coupon.applicableProducts || coupon.applicableProducts.length === 0) {
-      return { applicable: false, reason: 'No applicable products defined' };
+
+  // Customer rules use context.customer ({ userId, signupDate, orderCount, segments })
+  // and context.userCouponUsage (uses of each coupon by that user, keyed by coupon id)
+  static checkCustomerEligibility(coupon, context = {}) {
+    if (!this.hasCustomerRules(coupon)) {
+      return { eligible: true };
     }
-    const applicableItems = cart.items.filter(item => 
-      coupon.applicableProducts.includes(item.productId)
-    );
     
-    if (applicableItems.length === 0) {
-      return { applicable: false, reason: 'No applicable products in cart' };
+    const customer = context.customer;
+    if (!customer) {
+      return { eligible: false, reason: 'Coupon requires customer details' };
     }
-    const applicableTotal = applicableItems.reduce((total, item) => {
-      return total + (item.price * item.quantity);
-    }, 0);
     
-    return { 
-      applicable: true, 
-      applicableItems, 
-      applicableTotal 
-    };
-  }
-  static checkBxGyApplicability(coupon, cart) {
-    if (!coupon.buyProducts || coupon.buyProducts.length === 0 ||
-        !coupon.getProducts || coupon.getProducts.length === 0) {
-      return { applicable: false, reason: 'Invalid BxGy configuration' };
-    }
-    const cartProducts = {};
-    cart.items.forEach(item => {
-      cartProducts[item.productId] = item.quantity;
-    });
-    let maxApplications = 0;
+    if (coupon.perUserLimit) {
+      if (!customer.userId) {
+        return { eligible: false, reason: 'Coupon has a per-user limit and requires a user ID' };
+      }
+      const used = (context.userCouponUsage || {})[coupon._id.toString()] || 0;
+      if (used >= coupon.perUserLimit) {
+        return {
+          eligible: false,
+          reason: `Customer has already used this coupon ${used} time(s) (limit ${coupon.perUserLimit})`
+        };
+      }
+    }
     
-    for (const buyReq of coupon.buyProducts) {
-      const cartQuantity = cartProducts[buyReq.productId] || 0;
-      const possibleApplications = Math.floor(cartQuantity / buyReq.quantity);
-      
-      if (maxApplications === 0 || possibleApplications < maxApplications) {
-        maxApplications = possibleApplications;
+    if (coupon.firstOrderOnly) {
+      if (customer.orderCount === undefined) {
+        return { eligible: false, reason: 'Coupon is for first orders only and requires the customer order count' };
+      }
+      if (customer.orderCount > 0) {
+        return { eligible: false, reason: `Coupon is for first orders only (customer has ${customer.orderCount} orders)` };
       }
     }
-    const repetitionLimit = coupon.repetitionLimit || 1;
-    maxApplications = Math.min(maxApplications, repetitionLimit);
     
-    if (maxApplications === 0) {
-      return { 
-        applicable: false, 
-        reason: 'Insufficient quantity of buy products' 
-      };
+    if (coupon.newCustomerDays) {
+      if (!customer.signupDate) {
+        return { eligible: false, reason: 'Coupon is for new customers and requires the customer signup date' };
+      }
+      const daysSinceSignup = Math.floor((Date.now() - new Date(customer.signupDate).getTime()) / (24 * 60 * 60 * 1000));
+      if (daysSinceSignup > coupon.newCustomerDays) {
+        return {
+          eligible: false,
+          reason: `Coupon is for customers who signed up within ${coupon.newCustomerDays} days (signed up ${daysSinceSignup} days ago)`
+        };
+      }
     }
-    return { 
-      applicable: true, 
-      maxApplications,
-      cartProducts 
-    };
+    
+    const segments = (customer.segments || []).map(segment => segment.toLowerCase());
+    if (coupon.blockedSegments && coupon.blockedSegments.length > 0) {
+      const blocked = segments.find(segment => coupon.blockedSegments.includes(segment));
+      if (blocked) {
+        return { eligible: false, reason: `Coupon is not available to the ${blocked} segment` };
+      }
+    }
+    if (coupon.allowedSegments && coupon.allowedSegments.length > 0) {
+      if (!segments.some(segment => coupon.allowedSegments.includes(segment))) {
+        return {
+          eligible: false,
+          reason: `Coupon is only available to segments: ${coupon.allowedSegments.join(', ')}`
+        };
+      }
+    }
+    
+    return { eligible: true };
   }
 
-  static calculateDiscount(coupon, cart) {
-    const applicability = this.isCouponApplicable(coupon, cart);
+  static calculateDiscount(coupon, cart, context = {}) {
+    const applicability = this.isCouponApplicable(coupon, cart, context);
     
     if (!applicability.applicable) {
       return { discount: 0, ...applicability };
     }
     
-    switch(coupon.type) {
-      case 'CART_WISE':
-         return this.calculateCartWiseDiscount(coupon, cart);
-        
-      case 'PRODUCT_WISE':
-        return this.calculateProductWiseDiscount(coupon, cart);
-        
-      case 'BXGY':
-        return this.calculateBXGYDiscountComplex(coupon, cart);
-        
-      default:
-        return { discount: 0, reason: 'Unknown coupon type' };
-    }
+    const discountResult = CouponFactory.get(coupon.type).calculateDiscount(coupon, cart);
+    return this.checkCampaignBudget(coupon, this.capAtNetTotal(discountResult, cart));
   }
-  
 
-  static calculateCartWiseDiscount(coupon, cartItems) {
-    const cartTotal = cartItems.reduce(
-        (sum, item) => sum + (item.price * item.quantity), 
-        0
-    );
-    
-    if (coupon.minCartValue && cartTotal < coupon.minCartValue) {
-        return 0;
-    }
-    
-    let discount = (cartTotal * coupon.discountValue) / 100;
-    
-    if (coupon.maxDiscount && discount > coupon.maxDiscount) {
-        discount = coupon.maxDiscount;
+  // A coupon stacked on a discounted cart can take at most what is left to pay.
+  // The line item discounts shrink in proportion so they still add up.
+  static capAtNetTotal(discountResult, cart) {
+    const netTotal = calculateNetCartTotal(cart);
+    if (discountResult.discount <= netTotal) {
+      return discountResult;
     }
+    const discount = roundAmount(netTotal);
+    const scale = lines => lines.map(line => ({
+      ...line,
+      itemDiscount: roundAmount((line.itemDiscount * discount) / discountResult.discount)
+    }));
     return {
+      ...discountResult,
       discount,
-      cartTotal,
-      discountType: coupon.discountValue <= 100 ? 'percentage' : 'fixed'
+      ...(discountResult.itemDiscounts && { itemDiscounts: scale(discountResult.itemDiscounts) }),
+      ...(discountResult.freeItems && { freeItems: scale(discountResult.freeItems) })
     };
   }
 
-  static calculateProductWiseDiscount(coupon, cartItems) {
-    let eligibleItems = cartItems.filter(item => 
-        coupon.applicableProducts.includes(item.productId)
-    );
-    
-    if (eligibleItems.length === 0) return 0;
-    
-    let totalDiscount = 0;
-    
-    eligibleItems.forEach(item => {
-        let itemDiscount = 0;
-        
-        if (coupon.discountType === 'PERCENTAGE') {
-        itemDiscount = (item.price * item.quantity * coupon.discountValue) / 100;
-        } else {
-        itemDiscount = coupon.discountValue * item.quantity;
-        }
-        
-        totalDiscount += itemDiscount;
-    });
-    
-    if (coupon.maxDiscount && totalDiscount > coupon.maxDiscount) {
-        totalDiscount = coupon.maxDiscount;
+  // A discount is only given if the coupon's campaign can still pay for all of it
+  static checkCampaignBudget(coupon, discountResult) {
+    if (!coupon.populated('campaign') || !coupon.campaign || discountResult.discount === 0) {
+      return discountResult;
     }
-      itemDiscounts.push({
-        productId: item.productId,
-        quantity: item.quantity,
-        itemDiscount
-      });
     
-    return {
-      discount: totalDiscount,
-      itemDiscounts,
-      discountType: coupon.discountValue <= 100 ? 'percentage' : 'fixed'
-    };
+    const remaining = coupon.campaign.getRemainingBudget();
+    if (discountResult.discount > remaining) {
+      return {
+        discount: 0,
+        applicable: false,
+        reason: `Discount (${discountResult.discount}) exceeds the remaining budget of campaign ${coupon.campaign.name} (${remaining})`
+      };
+    }
+    return discountResult;
   }
-  
-  static calculateBXGYDiscountComplex(coupon, cartItems) {
-    if (coupon.type !== 'BXGY') return 0;
-    
-    const cartItemMap = new Map();
-    cartItems.forEach(item => {
-        cartItemMap.set(item.productId, item);
-    });
-    
-    const hasBuyProducts = coupon.buyProducts.some(bp => 
-        cartItemMap.has(bp.productId)
-    );
-    
-    if (!hasBuyProducts) return 0;
-    let totalBuyQuantity = 0;
-    coupon.buyProducts.forEach(buyProduct => {
-        const cartItem = cartItemMap.get(buyProduct.productId);
-        if (cartItem) {
-        totalBuyQuantity += cartItem.quantity;
-        }
-    });
-    
-    const requiredBuyPerSet = coupon.buyProducts.reduce(
-        (sum, item) => sum + item.quantity, 
-        0
-    );
-    
-    let possibleSets = Math.floor(totalBuyQuantity / requiredBuyPerSet);
-    
-    coupon.buyProducts.forEach(buyProduct => {
-        const cartItem = cartItemMap.get(buyProduct.productId);
-        if (cartItem) {
-        const individualSets = Math.floor(cartItem.quantity / buyProduct.quantity);
-        possibleSets = Math.min(possibleSets, individualSets);
-        } else {
-        possibleSets = 0;
-        }
-    });
-  
-    if (possibleSets === 0) return 0;
-    
-    const repetitionLimit = coupon.repetitionLimit || 1;
-    const applicableSets = Math.min(possibleSets, repetitionLimit);
-    
-    let totalDiscount = 0;
-    let totalFreeItemsToGive = 0;
+
+  // Discount a coupon that was already redeemed gives on a changed cart, e.g. after
+  // items are returned. Status, usage limit and customer rules were checked at redemption.
+  static recalculateDiscount(coupon, cart) {
+    const applicability = this.checkCartApplicability(coupon, cart);
     
-    coupon.getProducts.forEach(getProduct => {
-        const freeItemsCount = getProduct.quantity * applicableSets;
-        totalFreeItemsToGive += freeItemsCount;
-        
-        const cartItem = cartItemMap.get(getProduct.productId);
-        if (cartItem) {
-        const actualFree = Math.min(freeItemsCount, cartItem.quantity);
-        totalDiscount += actualFree * cartItem.price;
-        }
-    });
+    if (!applicability.applicable) {
+      return { discount: 0, ...applicability };
+    }
     
-    return {
-      discount: totalDiscount,
-      totalFreeItemsToGive,
-      discountType: 'free_items'
-    };
+    return this.capAtNetTotal(CouponFactory.get(coupon.type).calculateDiscount(coupon, cart), cart);
   }
   
-  static applyCouponToCart(coupon, cart) {
-    const discountResult = this.calculateDiscount(coupon, cart);
+  static applyCouponToCart(coupon, cart, context = {}) {
+    const discountResult = this.calculateDiscount(coupon, cart, context);
     
     if (discountResult.discount === 0) {
       throw new Error('Cannot apply coupon: ' + (discountResult.reason || 'Invalid coupon'));
     }
     
     const updatedCart = JSON.parse(JSON.stringify(cart));
-    const cartTotal = this.calculateCartTotal(cart);
-    switch(coupon.type) {
-      case 'CART_WISE':
-        // Update cart totals
-        updatedCart.totalPrice = cartTotal;
-        updatedCart.totalDiscount = discountResult.discount;
-        updatedCart.finalPrice = cartTotal - discountResult.discount;
-        break;
-        
-      case 'PRODUCT_WISE':
-        discountResult.itemDiscounts.forEach(itemDiscount => {
-          const item = updatedCart.items.find(i => i.productId === itemDiscount.productId);
-          if (item) {
-            item.totalDiscount = (item.totalDiscount || 0) + itemDiscount.itemDiscount;
-            item.discountedPrice = (item.price * item.quantity) - item.totalDiscount;
-          }
-        });
-        
-        updatedCart.totalPrice = cartTotal;
-        updatedCart.totalDiscount = discountResult.discount;
-        updatedCart.finalPrice = cartTotal - discountResult.discount;
-        break;
-        
-      case 'BXGY':
-        discountResult.freeItems.forEach(freeItem => {
-          const item = updatedCart.items.find(i => i.productId === freeItem.productId);
-          if (item && freeItem.itemDiscount > 0) {
-            item.totalDiscount = (item.totalDiscount || 0) + freeItem.itemDiscount;
-            item.discountedPrice = (item.price * item.quantity) - item.totalDiscount;
-            item.freeQuantity = freeItem.freeQuantity;
-          }
-        });
-        
-        // Update cart totals
-        updatedCart.totalPrice = cartTotal;
-        updatedCart.totalDiscount = discountResult.discount;
-        updatedCart.finalPrice = cartTotal - discountResult.discount;
-        break;
-    }
+    const cartTotal = calculateCartTotal(cart);
+    CouponFactory.get(coupon.type).applyToCart(updatedCart, discountResult, coupon);
+
+    // Totals accumulate so a cart that already carries a coupon can take another
+    updatedCart.totalPrice = cartTotal;
+    updatedCart.totalDiscount = roundAmount((cart.totalDiscount || 0) + discountResult.discount);
+    updatedCart.finalPrice = Math.max(0, roundAmount(cartTotal - updatedCart.totalDiscount));
     
     updatedCart.appliedCoupon = {
       couponId: coupon._id,
@@ -295,27 +201,81 @@ export class CouponService {
       type: coupon.type,
       discountValue: discountResult.discount
     };
+    updatedCart.appliedCoupons = [...(cart.appliedCoupons || []), updatedCart.appliedCoupon];
     
     return {
       updatedCart,
       discountResult
     };
   }
+
+  // Higher priority applies first; ties keep the order the coupons were given in
+  static sortCouponsByPriority(coupons) {
+    return [...coupons].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  }
+
+  static checkStackingRules(coupons) {
+    if (coupons.length < 2) {
+      return { valid: true };
+    }
+
+    const exclusiveCoupon = coupons.find(coupon => coupon.isStackable === false);
+    if (exclusiveCoupon) {
+      return {
+        valid: false,
+        reason: `Coupon ${exclusiveCoupon.code} is exclusive and cannot be combined with other coupons`
+      };
+    }
+    return { valid: true };
+  }
+
+  static applyCouponsToCart(coupons, cart, context = {}) {
+    const stacking = this.checkStackingRules(coupons);
+    if (!stacking.valid) {
+      throw new Error('Cannot apply coupons: ' + stacking.reason);
+    }
+
+    const steps = [];
+    let currentCart = cart;
+
+    for (const coupon of this.sortCouponsByPriority(coupons)) {
+      let result;
+      try {
+        result = this.applyCouponToCart(coupon, currentCart, context);
+      } catch (error) {
+        throw new Error(`${coupon.code}: ${error.message}`);
+      }
+
+      steps.push({
+        couponId: coupon._id,
+        code: coupon.code,
+        type: coupon.type,
+        priority: coupon.priority || 0,
+        discount: result.discountResult.discount,
+        details: result.discountResult,
+        cart: result.updatedCart
+      });
+      currentCart = result.updatedCart;
+    }
+
+    return {
+      updatedCart: currentCart,
+      steps,
+      totalDiscount: currentCart.totalDiscount
+    };
+  }
   
-  static async getApplicableCoupons(cart, couponModel) {
-    // Get all active coupons
-    const coupons = await couponModel.find({
-      isActive: true,
-      $or: [
-        { expirationDate: { $gt: new Date() } },
-        { expirationDate: null }
-      ]
-    });
-    
+  // Candidates come from the active coupon cache rather than a query per request
+  static async getApplicableCoupons(cart, context = {}) {
+    const coupons = await activeCouponCache.getCandidates(cart);
+    return this.rankApplicableCoupons(coupons, cart, context);
+  }
+
+  static rankApplicableCoupons(coupons, cart, context = {}) {
     const applicableCoupons = [];
     
     for (const coupon of coupons) {
-      const discountResult = this.calculateDiscount(coupon, cart);
+      const discountResult = this.calculateDiscount(coupon, cart, context);
       
       if (discountResult.discount > 0) {
         applicableCoupons.push({
@@ -331,4 +291,219 @@ export class CouponService {
     applicableCoupons.sort((a, b) => b.discount - a.discount);    
     return applicableCoupons;
   }
+
+  static async getUpsellSuggestions(cart, context = {}) {
+    const coupons = await activeCouponCache.getCandidates(cart);
+    return this.suggestUpsells(coupons, cart, context);
+  }
+
+  // Nudges for coupons the cart nearly qualifies for, largest saving first. The saving is
+  // the extra discount the coupon would give once the suggested items are in the cart;
+  // it is null when an item to add has no known price, and those nudges come last.
+  static suggestUpsells(coupons, cart, context = {}) {
+    const cartTotal = calculateNetCartTotal(cart);
+    const suggestions = [];
+
+    for (const coupon of coupons) {
+      const strategy = CouponFactory.get(coupon.type);
+      const upsell = strategy && strategy.suggestUpsell(coupon, cart, cartTotal);
+      if (!upsell) {
+        continue;
+      }
+
+      const { cart: upsellCart, pricesKnown, ...suggestion } = upsell;
+      let saving = null;
+      if (pricesKnown) {
+        const current = this.calculateDiscount(coupon, cart, context).discount;
+        saving = roundAmount(this.calculateDiscount(coupon, upsellCart, context).discount - current);
+        if (saving <= 0) {
+          continue;
+        }
+      } else if (!this.isCouponApplicable(coupon, upsellCart, context).applicable) {
+        continue;
+      }
+
+      suggestions.push({ couponId: coupon._id, code: coupon.code, type: coupon.type, ...suggestion, saving });
+    }
+
+    const rank = suggestion => (suggestion.saving === null ? -1 : suggestion.saving);
+    return suggestions
+      .sort((a, b) => rank(b) - rank(a))
+      .slice(0, MAX_UPSELL_SUGGESTIONS);
+  }
+
+  // Explain mode: the coupons named by `codes`, or every coupon except code batches, with
+  // their rules, applicable ones first by discount. Read from the database rather than the
+  // active coupon cache so inactive, expired and unrelated coupons show the rule they fail.
+  static async explainApplicableCoupons(cart, context = {}, codes = null) {
+    const coupons = await Coupon.find(codes ? { code: { $in: codes } } : { isBatch: { $ne: true } });
+    const now = new Date();
+    return coupons
+      .map(coupon => this.explainCoupon(coupon, cart, context, now))
+      .sort((a, b) => b.discount - a.discount || a.code.localeCompare(b.code));
+  }
+
+  // Checks every rule the coupon is held to instead of stopping at the first failure.
+  // Each rule reports pass/fail and the figures it compared; failed rules give a reason.
+  static explainCoupon(coupon, cart, context = {}, now = new Date()) {
+    const rules = [];
+    const check = (rule, passed, reason, figures = {}) => {
+      rules.push({ rule, passed, ...(!passed && { reason }), ...figures });
+    };
+
+    check('active', Boolean(coupon.isActive), 'Coupon is not active');
+
+    check('expiry', !(coupon.expirationDate && now > coupon.expirationDate),
+      `Coupon expired at ${coupon.expirationDate && coupon.expirationDate.toISOString()}`,
+      { expirationDate: coupon.expirationDate || null, checkedAt: now });
+
+    if (coupon.validFrom || hasSchedule(coupon.schedule)) {
+      const started = coupon.isStarted(now);
+      const nextValidAt = coupon.getNextValidTime(now);
+      let reason = 'Coupon is outside its schedule';
+      if (!nextValidAt) {
+        reason = 'Coupon has no valid window left before it expires';
+      } else if (!started) {
+        reason = `Coupon is not valid until ${coupon.validFrom.toISOString()}`;
+      }
+      check('schedule', started && coupon.isWithinSchedule(now), reason, {
+        validFrom: coupon.validFrom || null,
+        timezone: coupon.timezone || 'UTC',
+        nextValidAt
+      });
+    }
+
+    if (coupon.usageLimit) {
+      const used = coupon.currentUsage + (coupon.reservedUsage || 0);
+      check('usageLimit', !coupon.isUsageLimitReached(),
+        `Coupon has been used ${used} of ${coupon.usageLimit} times, counting reserved uses`,
+        { usageLimit: coupon.usageLimit, currentUsage: coupon.currentUsage, reservedUsage: coupon.reservedUsage || 0 });
+    }
+
+    if (coupon.populated('campaign') && coupon.campaign) {
+      const campaignAvailability = coupon.campaign.checkAvailability(now);
+      check('campaign', campaignAvailability.available, campaignAvailability.reason, {
+        campaign: coupon.campaign.name,
+        remainingBudget: coupon.campaign.getRemainingBudget()
+      });
+    }
+
+    if (this.hasCustomerRules(coupon)) {
+      const eligibility = this.checkCustomerEligibility(coupon, context);
+      check('customer', eligibility.eligible, eligibility.reason);
+    }
+
+    const cartTotal = calculateNetCartTotal(cart);
+    if (coupon.minCartValue) {
+      check('minCartValue', cartTotal >= coupon.minCartValue,
+        `Cart total (${cartTotal}) is less than minimum required (${coupon.minCartValue})`,
+        { cartTotal, minCartValue: coupon.minCartValue, shortfall: roundAmount(Math.max(0, coupon.minCartValue - cartTotal)) });
+    }
+
+    const strategy = CouponFactory.get(coupon.type);
+    if (strategy) {
+      rules.push(...strategy.explainApplicability(coupon, cart, cartTotal));
+    } else {
+      check('typeRules', false, 'Unknown coupon type');
+    }
+
+    // The discount itself can still come to nothing, e.g. over the campaign budget
+    let discount = 0;
+    if (rules.every(rule => rule.passed)) {
+      const discountResult = this.calculateDiscount(coupon, cart, context);
+      discount = discountResult.discount;
+      check('discount', discount > 0, discountResult.reason || 'Coupon gives no discount on this cart', { discount });
+    }
+
+    const failed = rules.find(rule => !rule.passed);
+    return {
+      couponId: coupon._id,
+      code: coupon.code,
+      type: coupon.type,
+      applicable: !failed,
+      discount,
+      ...(failed && { reason: failed.reason }),
+      rules
+    };
+  }
+
+  static async getBestCombination(cart, context = {}) {
+    const coupons = await activeCouponCache.getCandidates(cart);
+    return this.findBestCombination(coupons, cart, context);
+  }
+
+  // Picks the set of coupons with the highest total saving under the stacking rules.
+  // Every coupon prices against the line items and net total left by the coupons before
+  // it, so it never saves more on a discounted cart than on the original one; each
+  // coupon's standalone discount is therefore an upper bound used to prune the search.
+  static findBestCombination(coupons, cart, context = {}) {
+    const candidates = [];
+    for (const coupon of coupons) {
+      const discountResult = this.calculateDiscount(coupon, cart, context);
+      if (discountResult.discount > 0) {
+        candidates.push({ coupon, discount: discountResult.discount });
+      }
+    }
+    
+    if (candidates.length === 0) {
+      return null;
+    }
+    
+    let best = { coupons: [], totalDiscount: 0 };
+    
+    // Exclusive coupons can only ever be used alone
+    candidates
+      .filter(candidate => candidate.coupon.isStackable === false)
+      .forEach(candidate => {
+        if (candidate.discount > best.totalDiscount) {
+          best = { coupons: [candidate.coupon], totalDiscount: candidate.discount };
+        }
+      });
+    
+    const stackable = candidates
+      .filter(candidate => candidate.coupon.isStackable !== false)
+      .sort((a, b) => b.discount - a.discount)
+      .slice(0, MAX_COMBINATION_CANDIDATES);
+    
+    // Search in application order so every partial cart matches what checkout would see
+    const ordered = this.sortCouponsByPriority(stackable.map(candidate => candidate.coupon));
+    const discountByCoupon = new Map(stackable.map(candidate => [candidate.coupon, candidate.discount]));
+    const remainingBound = new Array(ordered.length + 1).fill(0);
+    for (let i = ordered.length - 1; i >= 0; i--) {
+      remainingBound[i] = remainingBound[i + 1] + discountByCoupon.get(ordered[i]);
+    }
+    
+    const search = (index, currentCart, chosen) => {
+      const totalDiscount = currentCart.totalDiscount || 0;
+      if (totalDiscount > best.totalDiscount) {
+        best = { coupons: [...chosen], totalDiscount };
+      }
+      if (index === ordered.length || totalDiscount + remainingBound[index] <= best.totalDiscount) {
+        return;
+      }
+      
+      const coupon = ordered[index];
+      if (this.calculateDiscount(coupon, currentCart, context).discount > 0) {
+        const { updatedCart } = this.applyCouponToCart(coupon, currentCart, context);
+        search(index + 1, updatedCart, [...chosen, coupon]);
+      }
+      search(index + 1, currentCart, chosen);
+    };
+    search(0, cart, []);
+    
+    const result = this.applyCouponsToCart(best.coupons, cart, context);
+    return {
+      codes: best.coupons.map(coupon => coupon.code),
+      totalDiscount: result.totalDiscount,
+      finalPrice: result.updatedCart.finalPrice,
+      breakdown: result.steps.map(step => ({
+        couponId: step.couponId,
+        code: step.code,
+        type: step.type,
+        discount: step.discount,
+        details: step.details
+      })),
+      updatedCart: result.updatedCart
+    };
+  }
 }
@@ -0,0 +1,306 @@
+import Coupon from '../models/coupon.js';
+import Redemption from '../models/redemption.js';
+import CouponUserUsage from '../models/couponUserUsage.js';
+import CouponCode from '../models/couponCode.js';
+import Campaign from '../models/campaign.js';
+import { CouponService } from './couponService.js';
+import { stripCartDiscounts, roundAmount } from '../utils/cartUtils.js';
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+export class RedemptionService {
+
+  // Context for CouponService eligibility checks: the customer and how often
+  // they have used each coupon
+  static async buildCustomerContext(customer) {
+    if (!customer) {
+      return {};
+    }
+    
+    const userCouponUsage = {};
+    if (customer.userId) {
+      const usages = await CouponUserUsage.find({ userId: customer.userId });
+      usages.forEach(usage => {
+        userCouponUsage[usage.coupon.toString()] = usage.count;
+      });
+    }
+    return { customer, userCouponUsage };
+  }
+
+  // Prices the cart, takes one use of the coupon and records the redemption against the order.
+  // Batch coupons are redeemed through one of their generated codes, which is used up too.
+  static async redeemCoupon(coupon, cart, { orderId, userId }, customer, batchCode = null) {
+    if (coupon.isBatch && !batchCode) {
+      throw new Error(`Coupon ${coupon.code} is a code batch; redeem one of its generated codes instead`);
+    }
+    const code = batchCode ? batchCode.code : coupon.code;
+    
+    // The customer's own userId wins over the one sent with the order
+    const redeemingCustomer = customer ? { userId, ...customer } : userId && { userId };
+    userId = redeemingCustomer && redeemingCustomer.userId;
+    const context = await this.buildCustomerContext(redeemingCustomer);
+    const result = CouponService.applyCouponToCart(coupon, cart, context);
+
+    const existing = await Redemption.findOne({ coupon: coupon._id, orderId });
+    if (existing) {
+      throw new Error(`Coupon ${code} has already been redeemed for order ${orderId}`);
+    }
+
+    // The checks above used a snapshot; the conditional updates are what enforce the limits.
+    // Uses taken so far are given back if a later step fails.
+    const discount = result.discountResult.discount;
+    const campaignId = coupon.getCampaignId();
+    const claimed = { batchCode: false, user: false, coupon: false, budget: false };
+    const releaseClaims = async () => {
+      if (claimed.budget) {
+        await Campaign.releaseBudget(campaignId, discount);
+      }
+      if (claimed.coupon) {
+        await Coupon.releaseUsage(coupon._id);
+      }
+      if (claimed.batchCode) {
+        await CouponCode.releaseUsage(batchCode._id);
+      }
+      if (claimed.user) {
+        await CouponUserUsage.releaseUsage(coupon._id, userId);
+      }
+    };
+
+    if (batchCode) {
+      claimed.batchCode = Boolean(await CouponCode.claimUsage(batchCode._id));
+      if (!claimed.batchCode) {
+        throw new Error(`Code ${code} has already been used`);
+      }
+    }
+
+    if (coupon.perUserLimit) {
+      claimed.user = Boolean(await CouponUserUsage.claimUsage(coupon._id, userId, coupon.perUserLimit));
+      if (!claimed.user) {
+        await releaseClaims();
+        throw new Error(`Coupon ${code} has reached its per-user limit for ${userId}`);
+      }
+    }
+    
+    const couponClaim = await Coupon.claimUsage(coupon._id);
+    claimed.coupon = Boolean(couponClaim);
+    if (!claimed.coupon) {
+      await releaseClaims();
+      throw new Error(`Coupon ${code} has reached its usage limit`);
+    }
+
+    if (campaignId) {
+      claimed.budget = Boolean(await Campaign.consumeBudget(campaignId, discount));
+      if (!claimed.budget) {
+        await releaseClaims();
+        throw new Error(`Campaign budget cannot cover the discount of ${discount} for coupon ${code}`);
+      }
+    }
+
+    let redemption;
+    try {
+      redemption = await Redemption.create({
+        coupon: coupon._id,
+        couponCode: code,
+        batchCode: batchCode ? batchCode._id : undefined,
+        campaign: campaignId || undefined,
+        orderId,
+        userId,
+        userLimitClaimed: claimed.user,
+        cart: result.updatedCart,
+        couponSnapshot: coupon.getPricingSnapshot(),
+        cartTotal: result.updatedCart.totalPrice,
+        discountAmount: discount
+      });
+    } catch (error) {
+      // Give the uses back if the ledger entry could not be written
+      await releaseClaims();
+      if (error.code === DUPLICATE_KEY_ERROR) {
+        throw new Error(`Coupon ${code} has already been redeemed for order ${orderId}`);
+      }
+      throw error;
+    }
+
+    return {
+      redemption,
+      coupon: couponClaim,
+      currentUsage: couponClaim.currentUsage,
+      ...result
+    };
+  }
+
+  // Undoes the coupons redeemed for an order on refund or cancellation. Without items
+  // every matching redemption is reversed in full; with returned items each discount is
+  // recomputed on what the customer kept. Resolves to one result per redemption, or null
+  // when nothing can be reversed.
+  static async reverseOrderRedemptions(orderId, { couponCode, items, reason } = {}) {
+    const filter = { orderId, status: { $ne: 'REVERSED' } };
+    if (couponCode) {
+      filter.couponCode = couponCode;
+    }
+    const redemptions = await Redemption.find(filter);
+    if (redemptions.length === 0) {
+      return null;
+    }
+
+    // Work out every reversal before writing any, so a bad item list is rejected before
+    // anything is reversed
+    const plans = [];
+    for (const redemption of redemptions) {
+      plans.push(await this.planReversal(redemption, items));
+    }
+
+    // Each reversal is written on its own; one that fails is reported with its error
+    // and can be retried without repeating the others
+    const reversals = [];
+    for (const plan of plans) {
+      try {
+        reversals.push(await this.applyReversal(plan, reason));
+      } catch (error) {
+        reversals.push({
+          redemptionId: plan.redemption._id,
+          couponCode: plan.redemption.couponCode,
+          status: plan.redemption.status,
+          error: error.message
+        });
+      }
+    }
+    return reversals;
+  }
+
+  static async planReversal(redemption, items) {
+    const discountBefore = redemption.getNetDiscount();
+    if (!items || items.length === 0) {
+      return { redemption, discountBefore, discountAfter: 0, items: [], returnedItems: redemption.returnedItems };
+    }
+
+    const returned = new Map(redemption.returnedItems.map(item => [item.productId, item.quantity]));
+    items.forEach(item => {
+      returned.set(item.productId, (returned.get(item.productId) || 0) + item.quantity);
+    });
+
+    const remainingCart = stripCartDiscounts(redemption.cart);
+    for (const [productId, quantity] of returned) {
+      const cartItem = remainingCart.items.find(item => item.productId === productId);
+      if (!cartItem) {
+        throw new Error(`Product ${productId} is not part of order ${redemption.orderId}`);
+      }
+      if (quantity > cartItem.quantity) {
+        throw new Error(`Cannot return ${quantity} of product ${productId}; order ${redemption.orderId} has ${cartItem.quantity}`);
+      }
+      cartItem.quantity -= quantity;
+    }
+    remainingCart.items = remainingCart.items.filter(item => item.quantity > 0);
+
+    let discountAfter = 0;
+    if (remainingCart.items.length > 0) {
+      const coupon = await this.getRedeemedTerms(redemption);
+      // A return never increases the discount the order keeps
+      const recalculated = CouponService.recalculateDiscount(coupon, remainingCart);
+      discountAfter = Math.min(discountBefore, recalculated.discount);
+    }
+
+    return {
+      redemption,
+      discountBefore,
+      discountAfter,
+      items,
+      returnedItems: [...returned].map(([productId, quantity]) => ({ productId, quantity }))
+    };
+  }
+
+  // The coupon as it was priced for the order, so later edits to the coupon do not change
+  // what a return gives back. Redemptions recorded before snapshots were kept fall back
+  // to the stored coupon.
+  static async getRedeemedTerms(redemption) {
+    if (redemption.couponSnapshot) {
+      return new Coupon(redemption.couponSnapshot);
+    }
+    // Orders placed before a coupon was deleted can still return items
+    const coupon = await Coupon.findById(redemption.coupon).setOptions({ withDeleted: true });
+    if (!coupon) {
+      throw new Error(`Coupon ${redemption.couponCode} no longer exists; reverse the redemption in full instead`);
+    }
+    return coupon;
+  }
+
+  // Records one reversal and, once no discount is left, gives back the coupon use
+  static async applyReversal({ redemption, discountBefore, discountAfter, items, returnedItems }, reason) {
+    const fullyReversed = discountAfter === 0;
+    const reversal = {
+      type: fullyReversed ? 'FULL' : 'PARTIAL',
+      items,
+      discountBefore,
+      discountAfter,
+      amountReversed: roundAmount(discountBefore - discountAfter),
+      reason
+    };
+
+    // Only succeeds if no other reversal was recorded since the redemption was read
+    const updated = await Redemption.findOneAndUpdate(
+      { _id: redemption._id, [`reversals.${redemption.reversals.length}`]: { $exists: false } },
+      {
+        $set: {
+          status: fullyReversed ? 'REVERSED' : 'PARTIALLY_REVERSED',
+          reversedAmount: roundAmount(redemption.discountAmount - discountAfter),
+          returnedItems
+        },
+        $push: { reversals: reversal }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      throw new Error(`Redemption of ${redemption.couponCode} for order ${redemption.orderId} changed while it was being reversed`);
+    }
+
+    if (fullyReversed) {
+      await Coupon.releaseUsage(redemption.coupon);
+      if (redemption.userLimitClaimed) {
+        await CouponUserUsage.releaseUsage(redemption.coupon, redemption.userId);
+      }
+      if (redemption.batchCode) {
+        await CouponCode.releaseUsage(redemption.batchCode);
+      }
+    }
+    if (redemption.campaign && reversal.amountReversed > 0) {
+      await Campaign.releaseBudget(redemption.campaign, reversal.amountReversed);
+    }
+
+    return {
+      redemptionId: updated._id,
+      couponCode: updated.couponCode,
+      status: updated.status,
+      ...reversal,
+      netDiscount: updated.getNetDiscount(),
+      usageRestored: fullyReversed
+    };
+  }
+
+  static async getCouponRedemptions(coupon, { limit = 50 } = {}) {
+    const [redemptions, totals] = await Promise.all([
+      Redemption.find({ coupon: coupon._id }).sort({ createdAt: -1 }).limit(limit),
+      Redemption.aggregate([
+        { $match: { coupon: coupon._id } },
+        {
+          $group: {
+            _id: null,
+            count: { $sum: { $cond: [{ $eq: ['$status', 'REVERSED'] }, 0, 1] } },
+            reversedCount: { $sum: { $cond: [{ $eq: ['$status', 'REVERSED'] }, 1, 0] } },
+            totalDiscount: { $sum: { $subtract: ['$discountAmount', { $ifNull: ['$reversedAmount', 0] }] } },
+            totalReversed: { $sum: { $ifNull: ['$reversedAmount', 0] } }
+          }
+        }
+      ])
+    ]);
+
+    return {
+      code: coupon.code,
+      currentUsage: coupon.currentUsage,
+      usageLimit: coupon.usageLimit,
+      totalRedemptions: totals.length > 0 ? totals[0].count : 0,
+      totalReversals: totals.length > 0 ? totals[0].reversedCount : 0,
+      totalDiscount: totals.length > 0 ? roundAmount(totals[0].totalDiscount) : 0,
+      totalReversed: totals.length > 0 ? roundAmount(totals[0].totalReversed) : 0,
+      redemptions
+    };
+  }
+}
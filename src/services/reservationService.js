@@ -0,0 +1,210 @@
+import Coupon from '../models/coupon.js';
+import Redemption from '../models/redemption.js';
+import Reservation from '../models/reservation.js';
+import CouponUserUsage from '../models/couponUserUsage.js';
+import Campaign from '../models/campaign.js';
+import { CouponService } from './couponService.js';
+import { RedemptionService } from './redemptionService.js';
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+export const DEFAULT_RESERVATION_TTL_SECONDS = Number(process.env.RESERVATION_TTL_SECONDS) || 900;
+
+// Holds a use of a coupon while checkout completes: reserve when payment starts,
+// commit once the order is confirmed, release when it is cancelled or abandoned.
+export class ReservationService {
+
+  static async reserveCoupon(coupon, cart, { orderId, cartId, userId, ttlSeconds }, customer) {
+    if (coupon.isBatch) {
+      throw new Error(`Coupon ${coupon.code} is a code batch; redeem one of its generated codes instead`);
+    }
+
+    // Free up holds that have run out before deciding whether a use is left
+    await this.reclaimExpiredReservations({ coupon: coupon._id });
+
+    const reference = orderId ? { orderId } : { cartId };
+    const existing = await Reservation.findOne({ coupon: coupon._id, status: 'ACTIVE', ...reference });
+    if (existing) {
+      throw new Error(`Coupon ${coupon.code} is already reserved for ${orderId ? 'order ' + orderId : 'cart ' + cartId}`);
+    }
+
+    // The customer's own userId wins over the one sent with the reservation
+    const reservingCustomer = customer ? { userId, ...customer } : userId && { userId };
+    userId = reservingCustomer && reservingCustomer.userId;
+    const context = await RedemptionService.buildCustomerContext(reservingCustomer);
+    const result = CouponService.applyCouponToCart(coupon, cart, context);
+
+    if (coupon.perUserLimit) {
+      const userClaimed = await CouponUserUsage.claimUsage(coupon._id, userId, coupon.perUserLimit);
+      if (!userClaimed) {
+        throw new Error(`Coupon ${coupon.code} has reached its per-user limit for ${userId}`);
+      }
+    }
+
+    const held = await Coupon.reserveUsage(coupon._id);
+    if (!held) {
+      if (coupon.perUserLimit) {
+        await CouponUserUsage.releaseUsage(coupon._id, userId);
+      }
+      throw new Error(`Coupon ${coupon.code} has reached its usage limit`);
+    }
+
+    const discount = result.discountResult.discount;
+    const campaignId = coupon.getCampaignId();
+    const hold = {
+      coupon: coupon._id,
+      userId,
+      userLimitClaimed: Boolean(coupon.perUserLimit),
+      campaign: null,
+      discountAmount: discount
+    };
+    if (campaignId) {
+      if (!(await Campaign.reserveBudget(campaignId, discount))) {
+        await this.releaseHeldUsage(hold);
+        throw new Error(`Campaign budget cannot cover the discount of ${discount} for coupon ${coupon.code}`);
+      }
+      hold.campaign = campaignId;
+    }
+
+    let reservation;
+    try {
+      reservation = await Reservation.create({
+        coupon: coupon._id,
+        couponCode: coupon.code,
+        ...reference,
+        ...hold,
+        cart: result.updatedCart,
+        couponSnapshot: coupon.getPricingSnapshot(),
+        expiresAt: new Date(Date.now() + (ttlSeconds || DEFAULT_RESERVATION_TTL_SECONDS) * 1000)
+      });
+    } catch (error) {
+      await this.releaseHeldUsage(hold);
+      if (error.code === DUPLICATE_KEY_ERROR) {
+        throw new Error(`Coupon ${coupon.code} is already reserved for ${orderId ? 'order ' + orderId : 'cart ' + cartId}`);
+      }
+      throw error;
+    }
+
+    return {
+      reservation,
+      currentUsage: held.currentUsage,
+      reservedUsage: held.reservedUsage,
+      ...result
+    };
+  }
+
+  // Counts the held use and records the redemption for the confirmed order
+  static async commitReservation(reservation, { orderId } = {}) {
+    orderId = orderId || reservation.orderId;
+    if (!orderId) {
+      throw new Error('orderId is required to commit a reservation made for a cart');
+    }
+
+    if (reservation.status === 'ACTIVE' && reservation.isExpired()) {
+      await this.expireReservation(reservation);
+      throw new Error(`Reservation ${reservation._id} has expired`);
+    }
+
+    const existing = await Redemption.findOne({ coupon: reservation.coupon, orderId });
+    if (existing) {
+      throw new Error(`Coupon ${reservation.couponCode} has already been redeemed for order ${orderId}`);
+    }
+
+    const committed = await Reservation.closeActive(reservation._id, 'COMMITTED', { orderId });
+    if (!committed) {
+      throw new Error(`Reservation ${reservation._id} is ${reservation.status.toLowerCase()} and cannot be committed`);
+    }
+
+    const coupon = await Coupon.commitReservedUsage(reservation.coupon);
+    if (reservation.campaign) {
+      await Campaign.commitReservedBudget(reservation.campaign, reservation.discountAmount);
+    }
+
+    try {
+      const redemption = await Redemption.create({
+        coupon: reservation.coupon,
+        couponCode: reservation.couponCode,
+        orderId,
+        userId: reservation.userId,
+        userLimitClaimed: reservation.userLimitClaimed,
+        campaign: reservation.campaign,
+        cart: reservation.cart,
+        couponSnapshot: reservation.couponSnapshot,
+        cartTotal: reservation.cart.totalPrice,
+        discountAmount: reservation.discountAmount
+      });
+      committed.redemption = redemption._id;
+      await committed.save();
+
+      return {
+        reservation: committed,
+        redemption,
+        coupon,
+        currentUsage: coupon ? coupon.currentUsage : undefined
+      };
+    } catch (error) {
+      // Give the use back if the ledger entry could not be written
+      await Coupon.releaseUsage(reservation.coupon);
+      if (reservation.userLimitClaimed) {
+        await CouponUserUsage.releaseUsage(reservation.coupon, reservation.userId);
+      }
+      if (reservation.campaign) {
+        await Campaign.releaseBudget(reservation.campaign, reservation.discountAmount);
+      }
+      await Reservation.updateOne(
+        { _id: reservation._id },
+        { $set: { status: 'RELEASED', updatedAt: new Date() } }
+      );
+      if (error.code === DUPLICATE_KEY_ERROR) {
+        throw new Error(`Coupon ${reservation.couponCode} has already been redeemed for order ${orderId}`);
+      }
+      throw error;
+    }
+  }
+
+  // Gives the held use back when the order is cancelled or abandoned
+  static async releaseReservation(reservation) {
+    const released = await Reservation.closeActive(reservation._id, 'RELEASED');
+    if (!released) {
+      throw new Error(`Reservation ${reservation._id} is ${reservation.status.toLowerCase()} and cannot be released`);
+    }
+    await this.releaseHeldUsage(reservation);
+    return released;
+  }
+
+  static async expireReservation(reservation) {
+    const expired = await Reservation.closeActive(reservation._id, 'EXPIRED');
+    if (expired) {
+      await this.releaseHeldUsage(reservation);
+    }
+    return expired;
+  }
+
+  // Gives back the uses held by active reservations whose TTL has passed
+  static async reclaimExpiredReservations(filter = {}) {
+    const stale = await Reservation.find({
+      ...filter,
+      status: 'ACTIVE',
+      expiresAt: { $lte: new Date() }
+    });
+
+    let reclaimed = 0;
+    for (const reservation of stale) {
+      if (await this.expireReservation(reservation)) {
+        reclaimed++;
+      }
+    }
+    return reclaimed;
+  }
+
+  // Gives back everything a reservation holds: the coupon use, the per-user use and campaign budget
+  static async releaseHeldUsage({ coupon, userId, userLimitClaimed, campaign, discountAmount }) {
+    await Coupon.releaseReservedUsage(coupon);
+    if (userLimitClaimed) {
+      await CouponUserUsage.releaseUsage(coupon, userId);
+    }
+    if (campaign) {
+      await Campaign.releaseReservedBudget(campaign, discountAmount);
+    }
+  }
+}
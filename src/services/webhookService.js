@@ -0,0 +1,178 @@
+import crypto from 'crypto';
+import WebhookSubscription from '../models/webhookSubscription.js';
+import WebhookDelivery from '../models/webhookDelivery.js';
+import Coupon from '../models/coupon.js';
+import { CouponHistoryService } from './couponHistoryService.js';
+
+const envNumber = (name, fallback) => Number(process.env[name]) || fallback;
+
+export const WEBHOOK_MAX_ATTEMPTS = envNumber('WEBHOOK_MAX_ATTEMPTS', 6);
+const RETRY_BASE_DELAY_MS = envNumber('WEBHOOK_RETRY_BASE_DELAY_MS', 30000);
+const REQUEST_TIMEOUT_MS = envNumber('WEBHOOK_TIMEOUT_MS', 10000);
+const SWEEP_BATCH_SIZE = 50;
+
+// Hex HMAC-SHA256 of `${timestamp}.${body}`; the timestamp lets receivers reject replayed deliveries
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+export class WebhookService {
+
+  static generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  // Raises an event without waiting on it: deliveries are stored and sent in the background,
+  // so the request that caused the event is never slowed down or failed by a webhook
+  static emit(event, data) {
+    this.enqueue(event, data).catch(error => console.error(`Webhook event ${event} failed:`, error));
+  }
+
+  // Stores one delivery per subscription that wants the event and makes the first attempt
+  static async enqueue(event, data) {
+    const subscriptions = await WebhookSubscription.find({ isActive: true, events: { $in: [event, '*'] } }, { _id: 1 });
+    if (subscriptions.length === 0) {
+      return [];
+    }
+
+    const eventId = crypto.randomUUID();
+    const payload = { id: eventId, event, createdAt: new Date().toISOString(), data };
+    const deliveries = await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+      subscription: subscription._id,
+      event,
+      eventId,
+      payload
+    })));
+
+    deliveries.forEach(delivery => {
+      this.attemptDelivery(delivery._id)
+        .catch(error => console.error(`Webhook delivery ${delivery._id} failed:`, error));
+    });
+    return deliveries;
+  }
+
+  // Posts a due delivery once and records the outcome. Non-2xx responses, timeouts and
+  // network errors are retried with backoff until WEBHOOK_MAX_ATTEMPTS is reached.
+  static async attemptDelivery(deliveryId) {
+    const delivery = await WebhookDelivery.claimDue(deliveryId, REQUEST_TIMEOUT_MS * 2);
+    if (!delivery) {
+      return null;
+    }
+
+    const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+    const attempt = { attemptedAt: new Date() };
+    if (!subscription || !subscription.isActive) {
+      attempt.error = 'Subscription was deleted or deactivated';
+      delivery.attempts.push(attempt);
+      delivery.status = 'FAILED';
+      return delivery.save();
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery._id.toString(),
+          'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(subscription.secret, timestamp, body)}`
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      attempt.statusCode = response.status;
+      if (!response.ok) {
+        attempt.error = `Endpoint answered ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.name === 'TimeoutError'
+        ? `No response within ${REQUEST_TIMEOUT_MS}ms`
+        : error.cause ? error.cause.message : error.message;
+    }
+    attempt.durationMs = Date.now() - attempt.attemptedAt.getTime();
+    delivery.attempts.push(attempt);
+
+    if (!attempt.error) {
+      delivery.status = 'DELIVERED';
+      delivery.deliveredAt = new Date();
+    } else if (delivery.attempts.length >= WEBHOOK_MAX_ATTEMPTS) {
+      delivery.status = 'FAILED';
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + this.getRetryDelay(delivery.attempts.length));
+    }
+    return delivery.save();
+  }
+
+  // Doubles after every failed attempt (30s, 1m, 2m...), with jitter so retries to an
+  // endpoint that is coming back up do not all land at once
+  static getRetryDelay(failedAttempts) {
+    const jitter = 0.8 + Math.random() * 0.4;
+    return Math.round(RETRY_BASE_DELAY_MS * 2 ** (failedAttempts - 1) * jitter);
+  }
+
+  // Sends deliveries whose retry is due, oldest first; run periodically
+  static async retryDueDeliveries() {
+    const due = await WebhookDelivery.find({ status: 'PENDING', nextAttemptAt: { $lte: new Date() } }, { _id: 1 })
+      .sort({ nextAttemptAt: 1 })
+      .limit(SWEEP_BATCH_SIZE);
+    for (const delivery of due) {
+      await this.attemptDelivery(delivery._id);
+    }
+    return due.length;
+  }
+
+  // Raises coupon.expired once for each coupon whose expiration date has passed; run periodically.
+  // Each coupon is marked in the same update that selects it, so no two sweeps raise it twice.
+  static async raiseExpiredCouponEvents() {
+    let raised = 0;
+    while (raised < SWEEP_BATCH_SIZE) {
+      const now = new Date();
+      const coupon = await Coupon.findOneAndUpdate(
+        { expirationDate: { $lte: now }, expirationNotifiedAt: null },
+        { $set: { expirationNotifiedAt: now } },
+        { new: true }
+      );
+      if (!coupon) {
+        break;
+      }
+      this.emitCouponEvent('coupon.expired', coupon);
+      raised++;
+    }
+    return raised;
+  }
+
+  // Raises a coupon event carrying the coupon and any event details
+  static emitCouponEvent(event, coupon, extra = {}) {
+    this.emit(event, { coupon: this.toCouponData(coupon), ...extra });
+  }
+
+  // After a redemption: coupon.redeemed, plus coupon.usage_limit_reached when it took the last use
+  static emitRedemptionEvents(coupon, redemption, actor) {
+    this.emitCouponEvent('coupon.redeemed', coupon, {
+      redemption: {
+        id: redemption._id.toString(),
+        orderId: redemption.orderId,
+        userId: redemption.userId,
+        couponCode: redemption.couponCode,
+        cartTotal: redemption.cartTotal,
+        discountAmount: redemption.discountAmount
+      },
+      actor
+    });
+    if (coupon.usageLimit && coupon.currentUsage >= coupon.usageLimit) {
+      this.emitCouponEvent('coupon.usage_limit_reached', coupon, { actor });
+    }
+  }
+
+  // Coupon as sent in event payloads: its settings plus id and usage
+  static toCouponData(coupon) {
+    return {
+      id: coupon._id.toString(),
+      ...CouponHistoryService.snapshot(coupon),
+      currentUsage: coupon.currentUsage
+    };
+  }
+}
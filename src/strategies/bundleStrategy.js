@@ -0,0 +1,196 @@
+import Joi from 'joi';
+import { CouponStrategy } from './couponStrategy.js';
+import { calculateItemNetTotal, roundAmount, applyItemDiscount, allocateDiscount } from '../utils/cartUtils.js';
+
+const bundleProductSchema = Joi.object({
+  productId: Joi.number().integer().positive().required(),
+  quantity: Joi.number().integer().positive().default(1),
+  productName: Joi.string().optional()
+});
+
+// PERCENTAGE: % off each complete set, FIXED_AMOUNT: ₹ off each set,
+// BUNDLE_PRICE: each set sells for discountValue
+const BUNDLE_DISCOUNT_TYPES = ['PERCENTAGE', 'FIXED_AMOUNT', 'BUNDLE_PRICE'];
+
+export class BundleStrategy extends CouponStrategy {
+
+  constructor() {
+    super('BUNDLE');
+  }
+
+  buildValidationSchema(baseSchema) {
+    return baseSchema.keys({
+      type: Joi.string().valid('BUNDLE').required(),
+      discountValue: Joi.number()
+        .positive()
+        .required()
+        .label('Discount Value'),
+      discountType: Joi.string()
+        .valid(...BUNDLE_DISCOUNT_TYPES)
+        .required()
+        .label('Discount Type'),
+      bundleProducts: Joi.array()
+        .items(bundleProductSchema)
+        .min(1)
+        .unique('productId')
+        .required()
+        .label('Bundle Products'),
+      applicableProducts: Joi.forbidden().messages({
+        'any.unknown': 'applicableProducts is not allowed for BUNDLE coupons'
+      }),
+      buyProducts: Joi.forbidden().messages({
+        'any.unknown': 'buyProducts is not allowed for BUNDLE coupons'
+      }),
+      getProducts: Joi.forbidden().messages({
+        'any.unknown': 'getProducts is not allowed for BUNDLE coupons'
+      })
+    });
+  }
+
+  validateCouponData(couponData) {
+    const errors = [];
+    if (!couponData.bundleProducts || couponData.bundleProducts.length === 0) {
+      errors.push('Bundle coupons require bundleProducts');
+    }
+    if (couponData.discountType === 'PERCENTAGE' &&
+        (couponData.discountValue <= 0 || couponData.discountValue > 100)) {
+      errors.push('Discount value must be between 1 and 100 for percentage bundle coupons');
+    }
+    const units = (couponData.bundleProducts || []).reduce((total, p) => total + (p.quantity || 1), 0);
+    if (units < 2) {
+      errors.push('A bundle must contain at least two units');
+    }
+    return errors;
+  }
+
+  isValidDiscountValue(value, coupon) {
+    if (coupon.discountType === 'PERCENTAGE') {
+      return value > 0 && value <= 100;
+    }
+    return value > 0;
+  }
+
+  // Complete sets in the cart and the bundle products still missing
+  countSets(coupon, cart) {
+    const cartItemMap = new Map();
+    cart.items.forEach(item => {
+      cartItemMap.set(item.productId, item);
+    });
+
+    let sets = Infinity;
+    const missingProducts = [];
+    coupon.bundleProducts.forEach(bundleProduct => {
+      const cartItem = cartItemMap.get(bundleProduct.productId);
+      const cartQuantity = cartItem ? cartItem.quantity : 0;
+      if (cartQuantity < bundleProduct.quantity) {
+        missingProducts.push({
+          productId: bundleProduct.productId,
+          quantityNeeded: bundleProduct.quantity - cartQuantity
+        });
+      }
+      sets = Math.min(sets, Math.floor(cartQuantity / bundleProduct.quantity));
+    });
+
+    const repetitionLimit = coupon.repetitionLimit || 1;
+    return {
+      sets: Math.min(sets === Infinity ? 0 : sets, repetitionLimit),
+      missingProducts,
+      cartItemMap
+    };
+  }
+
+  getCandidateTargets(coupon) {
+    return { products: (coupon.bundleProducts || []).map(bundleProduct => bundleProduct.productId) };
+  }
+
+  checkApplicability(coupon, cart) {
+    if (!coupon.bundleProducts || coupon.bundleProducts.length === 0) {
+      return { applicable: false, reason: 'No bundle products defined' };
+    }
+    const { sets, missingProducts } = this.countSets(coupon, cart);
+    if (sets === 0) {
+      return {
+        applicable: false,
+        reason: 'Cart does not contain the complete bundle',
+        missingProducts
+      };
+    }
+    return { applicable: true, sets };
+  }
+
+  explainApplicability(coupon, cart) {
+    if (!coupon.bundleProducts || coupon.bundleProducts.length === 0) {
+      return [{ rule: 'bundleComplete', passed: false, reason: 'No bundle products defined' }];
+    }
+    const { sets, missingProducts } = this.countSets(coupon, cart);
+    return [{
+      rule: 'bundleComplete',
+      passed: sets > 0,
+      ...(sets === 0 && { reason: 'Cart does not contain the complete bundle' }),
+      sets,
+      missingProducts
+    }];
+  }
+
+  calculateDiscount(coupon, cart) {
+    const { sets, missingProducts, cartItemMap } = this.countSets(coupon, cart);
+    if (sets === 0) {
+      return { discount: 0, reason: 'Cart does not contain the complete bundle', missingProducts };
+    }
+
+    // Value of the complete sets at the current (possibly already discounted) unit prices
+    const lines = coupon.bundleProducts.map(bundleProduct => {
+      const cartItem = cartItemMap.get(bundleProduct.productId);
+      const unitPrice = calculateItemNetTotal(cartItem) / cartItem.quantity;
+      return {
+        productId: bundleProduct.productId,
+        quantity: bundleProduct.quantity * sets,
+        value: unitPrice * bundleProduct.quantity * sets
+      };
+    });
+    const bundleValue = lines.reduce((total, line) => total + line.value, 0);
+
+    let totalDiscount;
+    if (coupon.discountType === 'PERCENTAGE') {
+      totalDiscount = (bundleValue * coupon.discountValue) / 100;
+    } else if (coupon.discountType === 'FIXED_AMOUNT') {
+      totalDiscount = coupon.discountValue * sets;
+    } else {
+      totalDiscount = bundleValue - (coupon.discountValue * sets);
+    }
+
+    if (coupon.maxDiscount && totalDiscount > coupon.maxDiscount) {
+      totalDiscount = coupon.maxDiscount;
+    }
+    totalDiscount = roundAmount(Math.min(Math.max(totalDiscount, 0), bundleValue));
+
+    if (totalDiscount === 0) {
+      return { discount: 0, reason: 'Bundle price is not lower than the items bought separately' };
+    }
+
+    // Spread the discount over the bundle lines by their share of the bundle value
+    const itemDiscounts = allocateDiscount(lines, totalDiscount);
+
+    return {
+      discount: totalDiscount,
+      sets,
+      bundleValue: roundAmount(bundleValue),
+      itemDiscounts,
+      discountType: {
+        PERCENTAGE: 'percentage',
+        FIXED_AMOUNT: 'fixed',
+        BUNDLE_PRICE: 'bundle_price'
+      }[coupon.discountType]
+    };
+  }
+
+  applyToCart(updatedCart, discountResult) {
+    discountResult.itemDiscounts.forEach(itemDiscount => {
+      const item = updatedCart.items.find(i => i.productId === itemDiscount.productId);
+      if (item) {
+        applyItemDiscount(item, itemDiscount.itemDiscount);
+        item.bundleQuantity = (item.bundleQuantity || 0) + itemDiscount.quantity;
+      }
+    });
+  }
+}
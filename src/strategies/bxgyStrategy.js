@@ -0,0 +1,516 @@
+import Joi from 'joi';
+import { CouponStrategy } from './couponStrategy.js';
+import { calculateItemNetTotal, roundAmount, applyItemDiscount } from '../utils/cartUtils.js';
+
+// Common product schema for buyProducts and getProducts
+export const buyGetProductSchema = Joi.object({
+  productId: Joi.number().integer().positive().required(),
+  quantity: Joi.number().integer().positive().default(1),
+  productName: Joi.string().optional(),
+  price: Joi.number().positive().optional()
+});
+
+// One step of a tiered POOL coupon, e.g. buy 4 get 3
+const bxgyTierSchema = Joi.object({
+  buyQuantity: Joi.number().integer().positive().required(),
+  getQuantity: Joi.number().integer().positive().required()
+});
+
+// SET: every buy product in its listed quantity unlocks the listed get products.
+// POOL: any buyQuantity units from the buy pool unlock the cheapest getQuantity units of the get pool.
+const BXGY_MODES = ['SET', 'POOL'];
+
+export class BxGyStrategy extends CouponStrategy {
+
+  constructor() {
+    super('BXGY');
+  }
+
+  buildValidationSchema(baseSchema) {
+    return baseSchema.keys({
+      type: Joi.string().valid('BXGY').required(),
+      discountValue: Joi.number()
+        .min(0)
+        .default(0)
+        .label('Discount Value'),
+      discountType: Joi.forbidden().messages({
+        'any.unknown': 'discountType is not applicable for BXGY coupons'
+      }),
+      applicableProducts: Joi.forbidden().messages({
+        'any.unknown': 'applicableProducts is not allowed for BXGY coupons'
+      }),
+      buyProducts: Joi.array()
+        .items(buyGetProductSchema)
+        .min(1)
+        .required()
+        .label('Buy Products'),
+      getProducts: Joi.array()
+        .items(buyGetProductSchema)
+        .min(1)
+        .required()
+        .label('Get Products'),
+      bxgyMode: Joi.string()
+        .valid(...BXGY_MODES)
+        .default('SET')
+        .label('BxGy Mode'),
+      buyQuantity: Joi.number().integer().positive().label('Buy Quantity'),
+      getQuantity: Joi.number().integer().positive().label('Get Quantity'),
+      bxgyTiers: Joi.array()
+        .items(bxgyTierSchema)
+        .min(1)
+        .unique('buyQuantity')
+        .label('BxGy Tiers'),
+      getDiscountPercentage: Joi.number()
+        .min(1).max(100)
+        .default(100)
+        .label('Get Discount Percentage')
+    }).custom((value, helpers) => {
+      // Ensure buyProducts and getProducts have unique productIds.
+      // The same product may appear in both lists, e.g. buy 2 of A get 1 of A.
+      // Updates may leave either list out.
+      const buyProductIds = (value.buyProducts || []).map(p => p.productId);
+      const getProductIds = (value.getProducts || []).map(p => p.productId);
+      
+      if (new Set(buyProductIds).size !== buyProductIds.length) {
+        return helpers.error('any.invalid', {
+          message: 'Buy products must have unique product IDs'
+        });
+      }
+      
+      if (new Set(getProductIds).size !== getProductIds.length) {
+        return helpers.error('any.invalid', {
+          message: 'Get products must have unique product IDs'
+        });
+      }
+      
+      return value;
+    }, 'BXGY validation');
+  }
+
+  validateCouponData(couponData) {
+    const errors = [];
+    if (!couponData.buyProducts || couponData.buyProducts.length === 0) {
+      errors.push('BxGy coupons require buyProducts');
+    }
+    if (!couponData.getProducts || couponData.getProducts.length === 0) {
+      errors.push('BxGy coupons require getProducts');
+    }
+    if (couponData.applicableProducts && couponData.applicableProducts.length > 0) {
+      errors.push('BxGy coupons should not have applicableProducts');
+    }
+
+    if (couponData.bxgyMode === 'POOL') {
+      const hasQuantities = couponData.buyQuantity && couponData.getQuantity;
+      const hasTiers = couponData.bxgyTiers && couponData.bxgyTiers.length > 0;
+      if (!hasQuantities && !hasTiers) {
+        errors.push('POOL BxGy coupons require buyQuantity and getQuantity, or bxgyTiers');
+      }
+      if (hasTiers) {
+        const tiers = this.sortTiers(couponData.bxgyTiers);
+        const decreasing = tiers.some((tier, index) =>
+          index > 0 && tier.getQuantity < tiers[index - 1].getQuantity
+        );
+        if (decreasing) {
+          errors.push('Higher BxGy tiers cannot give fewer items than lower tiers');
+        }
+      }
+    } else if ((couponData.bxgyTiers && couponData.bxgyTiers.length > 0) ||
+        couponData.buyQuantity || couponData.getQuantity) {
+      errors.push('buyQuantity, getQuantity and bxgyTiers are only used by POOL BxGy coupons');
+    }
+    return errors;
+  }
+
+  isValidDiscountValue() {
+    return true; // BXGY can have 0 discountValue
+  }
+
+  isPoolMode(coupon) {
+    return coupon.bxgyMode === 'POOL';
+  }
+
+  sortTiers(tiers) {
+    return [...tiers].sort((a, b) => a.buyQuantity - b.buyQuantity);
+  }
+
+  // Both modes need some of the buy products in the cart
+  getCandidateTargets(coupon) {
+    return { products: (coupon.buyProducts || []).map(buyProduct => buyProduct.productId) };
+  }
+
+  hasProducts(coupon) {
+    return Boolean(coupon.buyProducts && coupon.buyProducts.length > 0 &&
+      coupon.getProducts && coupon.getProducts.length > 0);
+  }
+
+  checkApplicability(coupon, cart) {
+    if (!this.hasProducts(coupon)) {
+      return { applicable: false, reason: 'Invalid BxGy configuration' };
+    }
+    const cartProducts = {};
+    cart.items.forEach(item => {
+      cartProducts[item.productId] = item.quantity;
+    });
+
+    if (this.isPoolMode(coupon)) {
+      const buyUnits = coupon.buyProducts.reduce(
+        (total, buyProduct) => total + (cartProducts[buyProduct.productId] || 0),
+        0
+      );
+      const tiers = coupon.bxgyTiers && coupon.bxgyTiers.length > 0
+        ? this.sortTiers(coupon.bxgyTiers)
+        : [{ buyQuantity: coupon.buyQuantity }];
+      if (buyUnits < tiers[0].buyQuantity) {
+        return {
+          applicable: false,
+          reason: `Buy at least ${tiers[0].buyQuantity} items from the buy products (cart has ${buyUnits})`
+        };
+      }
+      return { applicable: true, buyUnits, cartProducts };
+    }
+
+    let maxApplications = this.countSets(coupon, cartProducts);
+    const repetitionLimit = coupon.repetitionLimit || 1;
+    maxApplications = Math.min(maxApplications, repetitionLimit);
+    
+    if (maxApplications === 0) {
+      return { 
+        applicable: false, 
+        reason: 'Insufficient quantity of buy products' 
+      };
+    }
+    return { 
+      applicable: true, 
+      maxApplications,
+      cartProducts 
+    };
+  }
+
+  // Buy quantities needed against those in the cart
+  explainApplicability(coupon, cart) {
+    const { applicable, reason } = this.checkApplicability(coupon, cart);
+    if (!this.hasProducts(coupon)) {
+      return [{ rule: 'bxgyQuantity', passed: false, reason }];
+    }
+    const cartProducts = {};
+    cart.items.forEach(item => {
+      cartProducts[item.productId] = item.quantity;
+    });
+    const result = { rule: 'bxgyQuantity', passed: applicable, ...(reason && { reason }) };
+
+    if (this.isPoolMode(coupon)) {
+      const tiers = coupon.bxgyTiers && coupon.bxgyTiers.length > 0
+        ? this.sortTiers(coupon.bxgyTiers)
+        : [{ buyQuantity: coupon.buyQuantity }];
+      return [{
+        ...result,
+        mode: 'POOL',
+        buyUnits: coupon.buyProducts.reduce((total, bp) => total + (cartProducts[bp.productId] || 0), 0),
+        requiredBuyUnits: tiers[0].buyQuantity
+      }];
+    }
+
+    // A product listed as both buy and get needs both quantities per set, as in countSets
+    return [{
+      ...result,
+      mode: 'SET',
+      sets: Math.min(this.countSets(coupon, cartProducts), coupon.repetitionLimit || 1),
+      buyProducts: coupon.buyProducts.map(buyProduct => {
+        const getProduct = coupon.getProducts.find(gp => gp.productId === buyProduct.productId);
+        return {
+          productId: buyProduct.productId,
+          requiredPerSet: buyProduct.quantity + (getProduct ? getProduct.quantity : 0),
+          inCart: cartProducts[buyProduct.productId] || 0
+        };
+      })
+    }];
+  }
+
+  // The buy units still missing for one application, and the get products that have to be
+  // in the cart before they can be given free. Added units are priced from the cart, or from
+  // the coupon's listed price for products not in it yet; without either the saving is unknown.
+  suggestUpsell(coupon, cart) {
+    if (!this.hasProducts(coupon)) {
+      return null;
+    }
+    const cartItemMap = new Map();
+    cart.items.forEach(item => {
+      cartItemMap.set(item.productId, item);
+    });
+    if (!coupon.buyProducts.some(bp => cartItemMap.has(bp.productId))) {
+      return null;
+    }
+
+    const buyProductsToAdd = [];
+    const getProductsToAdd = [];
+    if (this.isPoolMode(coupon)) {
+      const tier = coupon.bxgyTiers && coupon.bxgyTiers.length > 0
+        ? this.sortTiers(coupon.bxgyTiers)[0]
+        : { buyQuantity: coupon.buyQuantity, getQuantity: coupon.getQuantity };
+      const buyUnits = coupon.buyProducts.reduce(
+        (total, bp) => total + (cartItemMap.has(bp.productId) ? cartItemMap.get(bp.productId).quantity : 0),
+        0
+      );
+      if (buyUnits < tier.buyQuantity) {
+        const inCart = coupon.buyProducts.find(bp => cartItemMap.has(bp.productId));
+        buyProductsToAdd.push({ productId: inCart.productId, quantity: tier.buyQuantity - buyUnits });
+      }
+      // Buy units cannot double as rewards, so the get pool may need its own units
+      const withBuys = this.addUnits(coupon, cart, buyProductsToAdd);
+      if (this.selectPoolRewards(coupon, withBuys.cart).reason) {
+        const getProduct = coupon.getProducts.find(gp => !coupon.buyProducts.some(bp => bp.productId === gp.productId)) ||
+          coupon.getProducts[0];
+        getProductsToAdd.push({ productId: getProduct.productId, quantity: tier.getQuantity });
+      }
+    } else {
+      coupon.buyProducts.forEach(buyProduct => {
+        const getProduct = coupon.getProducts.find(gp => gp.productId === buyProduct.productId);
+        const perSet = buyProduct.quantity + (getProduct ? getProduct.quantity : 0);
+        const inCart = cartItemMap.has(buyProduct.productId) ? cartItemMap.get(buyProduct.productId).quantity : 0;
+        if (inCart < perSet) {
+          buyProductsToAdd.push({ productId: buyProduct.productId, quantity: perSet - inCart });
+        }
+      });
+      coupon.getProducts
+        .filter(gp => !coupon.buyProducts.some(bp => bp.productId === gp.productId))
+        .forEach(getProduct => {
+          const inCart = cartItemMap.has(getProduct.productId) ? cartItemMap.get(getProduct.productId).quantity : 0;
+          if (inCart < getProduct.quantity) {
+            getProductsToAdd.push({ productId: getProduct.productId, quantity: getProduct.quantity - inCart });
+          }
+        });
+    }
+
+    if (buyProductsToAdd.length === 0 && getProductsToAdd.length === 0) {
+      return null;
+    }
+    const { cart: upsellCart, pricesKnown } = this.addUnits(coupon, cart, [...buyProductsToAdd, ...getProductsToAdd]);
+    return { action: 'ADD_PRODUCTS', buyProductsToAdd, getProductsToAdd, cart: upsellCart, pricesKnown };
+  }
+
+  // Copy of the cart with the given units added
+  addUnits(coupon, cart, additions) {
+    const items = cart.items.map(item => ({ ...item }));
+    let pricesKnown = true;
+    additions.forEach(({ productId, quantity }) => {
+      const existing = items.find(item => item.productId === productId);
+      if (existing) {
+        existing.quantity += quantity;
+        return;
+      }
+      // A product not in the cart takes the price listed on the coupon, or stands in at 0
+      const listed = [...coupon.buyProducts, ...coupon.getProducts]
+        .find(product => product.productId === productId && product.price != null);
+      if (!listed) {
+        pricesKnown = false;
+      }
+      items.push({ productId, quantity, price: listed ? listed.price : 0 });
+    });
+    return { cart: { ...cart, items }, pricesKnown };
+  }
+
+  calculateDiscount(coupon, cart) {
+    const selection = this.isPoolMode(coupon)
+      ? this.selectPoolRewards(coupon, cart)
+      : this.selectSetRewards(coupon, cart);
+
+    if (selection.reason) {
+      return { discount: 0, reason: selection.reason };
+    }
+
+    // Each unit's discount is rounded, then multiplied by the units rewarded on its line
+    const getDiscountPercentage = coupon.getDiscountPercentage || 100;
+    const freeItems = [];
+    selection.rewards.forEach(reward => {
+      const unitDiscount = roundAmount((reward.unitPrice * getDiscountPercentage) / 100);
+      let line = freeItems.find(freeItem => freeItem.productId === reward.productId);
+      if (!line) {
+        line = {
+          productId: reward.productId,
+          unitPrice: roundAmount(reward.unitPrice),
+          freeQuantity: 0,
+          discountPercentage: getDiscountPercentage,
+          itemDiscount: 0
+        };
+        freeItems.push(line);
+      }
+      line.freeQuantity += reward.quantity;
+      line.itemDiscount = roundAmount(line.itemDiscount + unitDiscount * reward.quantity);
+    });
+
+    const totalDiscount = freeItems.reduce((total, line) => total + line.itemDiscount, 0);
+
+    return {
+      discount: roundAmount(totalDiscount),
+      applications: selection.applications,
+      tier: selection.tier,
+      totalFreeItemsToGive: selection.totalFreeItemsToGive,
+      freeItems,
+      discountType: getDiscountPercentage === 100 ? 'free_items' : 'percentage_off_items'
+    };
+  }
+
+  // Complete buy sets in the cart. A product listed as both buy and get
+  // needs its buy and get quantities in the cart for each set.
+  countSets(coupon, cartProducts) {
+    let possibleSets = Infinity;
+    coupon.buyProducts.forEach(buyProduct => {
+      const getProduct = coupon.getProducts.find(gp => gp.productId === buyProduct.productId);
+      const perSet = buyProduct.quantity + (getProduct ? getProduct.quantity : 0);
+      const cartQuantity = cartProducts[buyProduct.productId] || 0;
+      possibleSets = Math.min(possibleSets, Math.floor(cartQuantity / perSet));
+    });
+    return possibleSets === Infinity ? 0 : possibleSets;
+  }
+
+  // Unit price after discounts from coupons already applied to the line
+  getUnitPrice(item) {
+    return calculateItemNetTotal(item) / item.quantity;
+  }
+
+  selectSetRewards(coupon, cart) {
+    const cartItemMap = new Map();
+    cart.items.forEach(item => {
+      cartItemMap.set(item.productId, item);
+    });
+    
+    const hasBuyProducts = coupon.buyProducts.some(bp => 
+      cartItemMap.has(bp.productId)
+    );
+    
+    if (!hasBuyProducts) return { reason: 'No buy products in cart' };
+
+    const cartProducts = {};
+    cart.items.forEach(item => {
+      cartProducts[item.productId] = item.quantity;
+    });
+    const possibleSets = this.countSets(coupon, cartProducts);
+    
+    if (possibleSets === 0) return { reason: 'Insufficient quantity of buy products' };
+    
+    const repetitionLimit = coupon.repetitionLimit || 1;
+    const applicableSets = Math.min(possibleSets, repetitionLimit);
+    
+    let totalFreeItemsToGive = 0;
+    const rewards = [];
+    
+    coupon.getProducts.forEach(getProduct => {
+      const freeItemsCount = getProduct.quantity * applicableSets;
+      totalFreeItemsToGive += freeItemsCount;
+      
+      const cartItem = cartItemMap.get(getProduct.productId);
+      if (cartItem) {
+        // Units paid for as buy products cannot also be given away
+        const buyProduct = coupon.buyProducts.find(bp => bp.productId === getProduct.productId);
+        const usedAsBuy = buyProduct ? buyProduct.quantity * applicableSets : 0;
+        const actualFree = Math.min(freeItemsCount, cartItem.quantity - usedAsBuy);
+        if (actualFree > 0) {
+          rewards.push({ productId: cartItem.productId, unitPrice: this.getUnitPrice(cartItem), quantity: actualFree });
+        }
+      }
+    });
+    
+    if (rewards.length === 0) {
+      return { reason: 'Get products are not in the cart' };
+    }
+
+    return { rewards, applications: applicableSets, totalFreeItemsToGive };
+  }
+
+  selectPoolRewards(coupon, cart) {
+    const buyIds = new Set(coupon.buyProducts.map(bp => bp.productId));
+    const getIds = new Set(coupon.getProducts.map(gp => gp.productId));
+
+    // Pooled line items, counted by quantity rather than expanded into single units
+    const lines = [];
+    cart.items.forEach(item => {
+      const isBuy = buyIds.has(item.productId);
+      const isGet = getIds.has(item.productId);
+      if (!isBuy && !isGet) return;
+      lines.push({ productId: item.productId, unitPrice: this.getUnitPrice(item), quantity: item.quantity, isBuy, isGet });
+    });
+
+    const countUnits = filter => lines.filter(filter).reduce((total, line) => total + line.quantity, 0);
+    const pool = {
+      buyOnly: countUnits(line => line.isBuy && !line.isGet),
+      getOnly: countUnits(line => line.isGet && !line.isBuy),
+      both: countUnits(line => line.isBuy && line.isGet)
+    };
+
+    if (coupon.bxgyTiers && coupon.bxgyTiers.length > 0) {
+      // Tiers apply once, at the highest tier the cart can fill
+      const tier = this.sortTiers(coupon.bxgyTiers)
+        .reverse()
+        .find(candidate => this.countPoolSets(pool, candidate.buyQuantity, candidate.getQuantity) >= 1);
+      if (!tier) {
+        return { reason: 'Not enough items in the cart for any BxGy tier' };
+      }
+      return {
+        rewards: this.pickCheapestRewards(lines, tier.buyQuantity, tier.getQuantity),
+        applications: 1,
+        tier: { buyQuantity: tier.buyQuantity, getQuantity: tier.getQuantity },
+        totalFreeItemsToGive: tier.getQuantity
+      };
+    }
+
+    const sets = Math.min(
+      coupon.repetitionLimit || 1,
+      this.countPoolSets(pool, coupon.buyQuantity, coupon.getQuantity)
+    );
+    if (sets === 0) {
+      return { reason: 'Not enough items in the cart for this BxGy offer' };
+    }
+    return {
+      rewards: this.pickCheapestRewards(lines, coupon.buyQuantity * sets, coupon.getQuantity * sets),
+      applications: sets,
+      totalFreeItemsToGive: coupon.getQuantity * sets
+    };
+  }
+
+  // Most buy-X-get-Y sets the pool can fill. Units in both pools pay or are rewarded but
+  // not both, so besides each pool on its own the whole pool has to cover X + Y per set.
+  countPoolSets({ buyOnly, getOnly, both }, buyQuantity, getQuantity) {
+    return Math.min(
+      Math.floor((buyOnly + both) / buyQuantity),
+      Math.floor((getOnly + both) / getQuantity),
+      Math.floor((buyOnly + getOnly + both) / (buyQuantity + getQuantity))
+    );
+  }
+
+  // Cheapest get-pool quantities, per line, that leave enough buy-pool units to pay for.
+  // The caller checks with countPoolSets that the pool can fill the sets.
+  pickCheapestRewards(lines, buyNeeded, getNeeded) {
+    const candidates = lines
+      .filter(line => line.isGet)
+      .sort((a, b) => a.unitPrice - b.unitPrice);
+    let buyAvailable = lines
+      .filter(line => line.isBuy)
+      .reduce((total, line) => total + line.quantity, 0);
+
+    const rewards = [];
+    let rewarded = 0;
+    for (const line of candidates) {
+      let take = Math.min(getNeeded - rewarded, line.quantity);
+      if (line.isBuy) {
+        take = Math.min(take, buyAvailable - buyNeeded);
+        buyAvailable -= take;
+      }
+      if (take > 0) {
+        rewards.push({ productId: line.productId, unitPrice: line.unitPrice, quantity: take });
+        rewarded += take;
+      }
+      if (rewarded === getNeeded) break;
+    }
+    return rewards;
+  }
+
+  applyToCart(updatedCart, discountResult) {
+    discountResult.freeItems.forEach(freeItem => {
+      const item = updatedCart.items.find(i => i.productId === freeItem.productId);
+      if (item && freeItem.itemDiscount > 0) {
+        applyItemDiscount(item, freeItem.itemDiscount);
+        item.freeQuantity = (item.freeQuantity || 0) + freeItem.freeQuantity;
+      }
+    });
+  }
+}
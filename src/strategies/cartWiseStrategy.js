@@ -0,0 +1,258 @@
+import Joi from 'joi';
+import { CouponStrategy } from './couponStrategy.js';
+import {
+  calculateNetCartTotal,
+  calculateItemNetTotal,
+  roundAmount,
+  applyItemDiscount,
+  allocateDiscount
+} from '../utils/cartUtils.js';
+
+// Carts further than this share of the threshold away are not nudged
+const UPSELL_MAX_SHORTFALL_SHARE = 0.5;
+
+// One spend threshold of a tiered cart-wise coupon
+const tierSchema = Joi.object({
+  minCartValue: Joi.number().min(0).required(),
+  discountValue: Joi.number().positive().required(),
+  maxDiscount: Joi.number().min(0).allow(null)
+});
+
+export class CartWiseStrategy extends CouponStrategy {
+
+  constructor() {
+    super('CART_WISE');
+  }
+
+  buildValidationSchema(baseSchema) {
+    return baseSchema.keys({
+      type: Joi.string().valid('CART_WISE').required(),
+      discountValue: Joi.number()
+        .positive()
+        // Percentages run 1-100. An update that leaves out discountType is checked against
+        // the stored type once merged, so a fixed amount keeps accepting values over 100.
+        .when('discountType', {
+          is: Joi.exist(),
+          then: Joi.when('discountType', { is: 'FIXED_AMOUNT', otherwise: Joi.number().min(1).max(100) }),
+          otherwise: Joi.when('$isUpdate', { is: true, otherwise: Joi.number().min(1).max(100) })
+        })
+        // Required unless tiers supply it, but only when creating; updates keep the stored value
+        .when('tiers', {
+          is: Joi.exist(),
+          then: Joi.optional(),
+          otherwise: Joi.when('$isUpdate', { is: true, otherwise: Joi.required() })
+        })
+        .label('Discount Value'),
+      tiers: Joi.array()
+        .items(tierSchema)
+        .min(1)
+        .unique('minCartValue')
+        .label('Tiers'),
+      discountType: Joi.string()
+        .valid('PERCENTAGE', 'FIXED_AMOUNT')
+        .default('PERCENTAGE')
+        .label('Discount Type'),
+      applicableProducts: Joi.forbidden().messages({
+        'any.unknown': 'applicableProducts is not allowed for CART_WISE coupons'
+      }),
+      buyProducts: Joi.forbidden().messages({
+        'any.unknown': 'buyProducts is not allowed for CART_WISE coupons'
+      }),
+      getProducts: Joi.forbidden().messages({
+        'any.unknown': 'getProducts is not allowed for CART_WISE coupons'
+      })
+    }).custom((value) => {
+      if (value.tiers) {
+        value.tiers = this.sortTiers(value.tiers);
+        // The entry tier doubles as the headline discount
+        if (value.discountValue === undefined) {
+          value.discountValue = value.tiers[0].discountValue;
+        }
+      }
+      return value;
+    }, 'Tier ordering');
+  }
+
+  validateCouponData(couponData) {
+    const errors = [];
+    if (couponData.discountType === 'FIXED_AMOUNT') {
+      if (couponData.discountValue <= 0) {
+        errors.push('Discount amount must be positive for fixed amount cart-wise coupons');
+      }
+    } else if (couponData.discountValue <= 0 || couponData.discountValue > 100) {
+      errors.push('Discount value must be between 1 and 100 for cart-wise coupons');
+    }
+    if (couponData.applicableProducts && couponData.applicableProducts.length > 0) {
+      errors.push('Cart-wise coupons should not have applicableProducts');
+    }
+    if (couponData.buyProducts || couponData.getProducts) {
+      errors.push('Cart-wise coupons should not have buyProducts or getProducts');
+    }
+    if (couponData.tiers) {
+      const tiers = this.sortTiers(couponData.tiers);
+      const decreasing = tiers.some((tier, index) =>
+        index > 0 && tier.discountValue < tiers[index - 1].discountValue
+      );
+      if (decreasing) {
+        errors.push('Higher cart-wise tiers cannot give a smaller discount than lower tiers');
+      }
+      if (couponData.discountType !== 'FIXED_AMOUNT' && tiers.some(tier => tier.discountValue > 100)) {
+        errors.push('Tier discount value must be between 1 and 100 for percentage cart-wise coupons');
+      }
+    }
+    return errors;
+  }
+
+  isValidDiscountValue(value, coupon) {
+    if (coupon.discountType === 'FIXED_AMOUNT') {
+      return value > 0;
+    }
+    return value > 0 && value <= 100; // Percentage
+  }
+
+  sortTiers(tiers) {
+    return [...tiers].sort((a, b) => a.minCartValue - b.minCartValue);
+  }
+
+  // Highest tier the cart reaches and the one after it, if any
+  findTier(coupon, cartTotal) {
+    const tiers = this.sortTiers(coupon.tiers);
+    let tierIndex = -1;
+    tiers.forEach((tier, index) => {
+      if (cartTotal >= tier.minCartValue) {
+        tierIndex = index;
+      }
+    });
+    
+    const tier = tierIndex >= 0 ? tiers[tierIndex] : null;
+    const next = tiers[tierIndex + 1];
+    return {
+      tier: tier && {
+        level: tierIndex + 1,
+        minCartValue: tier.minCartValue,
+        discountValue: tier.discountValue,
+        maxDiscount: tier.maxDiscount
+      },
+      nextTier: next && {
+        level: tierIndex + 2,
+        minCartValue: next.minCartValue,
+        discountValue: next.discountValue,
+        amountNeeded: roundAmount(next.minCartValue - cartTotal)
+      }
+    };
+  }
+
+  hasTiers(coupon) {
+    return Boolean(coupon.tiers && coupon.tiers.length > 0);
+  }
+
+  checkApplicability(coupon, cart, cartTotal) {
+    if (!this.hasTiers(coupon)) {
+      return { applicable: true, cartTotal };
+    }
+    
+    const { tier, nextTier } = this.findTier(coupon, cartTotal);
+    if (!tier) {
+      return {
+        applicable: false,
+        reason: `Cart total (${cartTotal}) is ${nextTier.amountNeeded} short of the first tier (${nextTier.minCartValue})`,
+        nextTier
+      };
+    }
+    return { applicable: true, cartTotal, tier, nextTier };
+  }
+
+  // Only tiered coupons have rules beyond minCartValue
+  explainApplicability(coupon, cart, cartTotal) {
+    if (!this.hasTiers(coupon)) {
+      return [];
+    }
+    const { applicable, reason, tier, nextTier } = this.checkApplicability(coupon, cart, cartTotal);
+    return [{
+      rule: 'tier',
+      passed: applicable,
+      ...(reason && { reason }),
+      cartTotal,
+      tier: tier || null,
+      nextTier: nextTier || null
+    }];
+  }
+
+  // The spend still needed to reach minCartValue, the first tier or the next tier
+  suggestUpsell(coupon, cart, cartTotal) {
+    const { tier, nextTier } = this.hasTiers(coupon) ? this.findTier(coupon, cartTotal) : {};
+    let threshold = nextTier ? nextTier.minCartValue : null;
+    if (coupon.minCartValue && cartTotal < coupon.minCartValue) {
+      // Below every tier, the minimum alone unlocks nothing
+      threshold = !tier && nextTier ? Math.max(coupon.minCartValue, nextTier.minCartValue) : coupon.minCartValue;
+    }
+    if (!threshold || cartTotal < threshold * (1 - UPSELL_MAX_SHORTFALL_SHARE)) {
+      return null;
+    }
+
+    const amountNeeded = roundAmount(threshold - cartTotal);
+    return {
+      action: 'ADD_AMOUNT',
+      amountNeeded,
+      targetCartValue: threshold,
+      // Any product will do, so the shortfall stands in as one line
+      cart: { ...cart, items: [...cart.items, { productId: null, quantity: 1, price: amountNeeded }] },
+      pricesKnown: true
+    };
+  }
+
+  calculateDiscount(coupon, cart) {
+    const cartTotal = calculateNetCartTotal(cart);
+    
+    if (coupon.minCartValue && cartTotal < coupon.minCartValue) {
+      return { discount: 0, reason: 'Cart total is less than minimum required' };
+    }
+    
+    let discountValue = coupon.discountValue;
+    let maxDiscount = coupon.maxDiscount;
+    let tierInfo = {};
+    
+    if (this.hasTiers(coupon)) {
+      tierInfo = this.findTier(coupon, cartTotal);
+      if (!tierInfo.tier) {
+        return { discount: 0, reason: 'Cart total is below the first tier', nextTier: tierInfo.nextTier };
+      }
+      discountValue = tierInfo.tier.discountValue;
+      // A tier without its own cap falls back to the coupon-wide cap
+      if (tierInfo.tier.maxDiscount != null) {
+        maxDiscount = tierInfo.tier.maxDiscount;
+      }
+    }
+    
+    const isFixedAmount = coupon.discountType === 'FIXED_AMOUNT';
+    let discount = isFixedAmount ? discountValue : (cartTotal * discountValue) / 100;
+    
+    if (maxDiscount && discount > maxDiscount) {
+      discount = maxDiscount;
+    }
+    // A fixed amount can be larger than a small cart
+    discount = roundAmount(Math.min(discount, cartTotal));
+
+    // Spread over the lines by what is left to pay on each, so coupons applied after this
+    // one price against the discounted lines
+    const lines = cart.items
+      .map(item => ({ productId: item.productId, quantity: item.quantity, value: calculateItemNetTotal(item) }))
+      .filter(line => line.value > 0);
+    return {
+      discount,
+      cartTotal,
+      itemDiscounts: lines.length > 0 ? allocateDiscount(lines, discount) : [],
+      discountType: isFixedAmount ? 'fixed' : 'percentage',
+      ...tierInfo
+    };
+  }
+
+  applyToCart(updatedCart, discountResult) {
+    discountResult.itemDiscounts.forEach(itemDiscount => {
+      const item = updatedCart.items.find(i => i.productId === itemDiscount.productId);
+      if (item) {
+        applyItemDiscount(item, itemDiscount.itemDiscount);
+      }
+    });
+  }
+}
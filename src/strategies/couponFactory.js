@@ -0,0 +1,45 @@
+import { CouponStrategy } from './couponStrategy.js';
+import { CartWiseStrategy } from './cartWiseStrategy.js';
+import { ProductWiseStrategy } from './productWiseStrategy.js';
+import { BxGyStrategy } from './bxgyStrategy.js';
+import { BundleStrategy } from './bundleStrategy.js';
+
+// Registry of coupon types. Custom types can be registered at startup,
+// before the server starts taking requests.
+export class CouponFactory {
+
+  static strategies = new Map();
+
+  static register(strategy) {
+    if (!(strategy instanceof CouponStrategy)) {
+      throw new Error('Coupon strategies must extend CouponStrategy');
+    }
+    if (!strategy.type) {
+      throw new Error('Coupon strategy must define a type');
+    }
+    this.strategies.set(strategy.type, strategy);
+    return this;
+  }
+
+  static get(type) {
+    return this.strategies.get(type);
+  }
+
+  static has(type) {
+    return this.strategies.has(type);
+  }
+
+  static getTypes() {
+    return [...this.strategies.keys()];
+  }
+
+  static getAll() {
+    return [...this.strategies.values()];
+  }
+}
+
+CouponFactory
+  .register(new CartWiseStrategy())
+  .register(new ProductWiseStrategy())
+  .register(new BxGyStrategy())
+  .register(new BundleStrategy());
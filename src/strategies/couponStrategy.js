@@ -0,0 +1,59 @@
+import Joi from 'joi';
+
+// Base class for coupon types. Each type owns its validation, applicability
+// check, discount math and cart mutation; register it with CouponFactory.
+export class CouponStrategy {
+
+  constructor(type) {
+    this.type = type;
+  }
+
+  // Joi schema for this type, built on top of the shared coupon fields
+  buildValidationSchema(baseSchema) {
+    return baseSchema.keys({
+      type: Joi.string().valid(this.type).required()
+    });
+  }
+
+  // Business rule checks that run after Joi validation
+  validateCouponData(couponData) {
+    return [];
+  }
+
+  // Used by the Mongoose discountValue validator
+  isValidDiscountValue(value, coupon) {
+    return value >= 0;
+  }
+
+  checkApplicability(coupon, cart, cartTotal) {
+    return { applicable: true };
+  }
+
+  // The type's own rules for explain mode, each as { rule, passed, reason, ...figures }
+  explainApplicability(coupon, cart, cartTotal) {
+    const { applicable, reason } = this.checkApplicability(coupon, cart, cartTotal);
+    return [{ rule: 'typeRules', passed: applicable, ...(reason && { reason }) }];
+  }
+
+  // Cart attributes ({ products, categories, brands, tags }) of which the cart needs at least
+  // one for the coupon to apply; the active coupon cache indexes by them. null means the
+  // coupon is checked against every cart.
+  getCandidateTargets(coupon) {
+    return null;
+  }
+
+  // What to add to the cart to unlock the coupon (or a better tier of it), with the cart
+  // that would result so the service can price the saving:
+  // { action, ...details, cart, pricesKnown }, or null when there is nothing to suggest
+  suggestUpsell(coupon, cart, cartTotal) {
+    return null;
+  }
+
+  calculateDiscount(coupon, cart) {
+    throw new Error(`Coupon type ${this.type} does not implement calculateDiscount`);
+  }
+
+  // Mutates the copied cart with line item discounts; cart totals are set by the service
+  applyToCart(updatedCart, discountResult, coupon) {
+  }
+}
@@ -0,0 +1,215 @@
+import Joi from 'joi';
+import { CouponStrategy } from './couponStrategy.js';
+import { calculateItemNetTotal, roundAmount, applyItemDiscount } from '../utils/cartUtils.js';
+
+const attributeListSchema = Joi.array().items(Joi.string().trim().lowercase());
+
+const TARGET_FIELDS = ['applicableProducts', 'applicableCategories', 'applicableBrands', 'applicableTags'];
+
+function normalize(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : value;
+}
+
+function hasAny(list) {
+  return Boolean(list && list.length > 0);
+}
+
+export class ProductWiseStrategy extends CouponStrategy {
+
+  constructor() {
+    super('PRODUCT_WISE');
+  }
+
+  buildValidationSchema(baseSchema) {
+    return baseSchema.keys({
+      type: Joi.string().valid('PRODUCT_WISE').required(),
+      discountValue: Joi.number()
+        .positive()
+        .required()
+        .label('Discount Value'),
+      discountType: Joi.string()
+        .valid('PERCENTAGE', 'FIXED_AMOUNT')
+        .required()
+        .label('Discount Type'),
+      applicableProducts: Joi.array()
+        .items(Joi.number().integer().positive())
+        .label('Applicable Products'),
+      applicableCategories: attributeListSchema.label('Applicable Categories'),
+      applicableBrands: attributeListSchema.label('Applicable Brands'),
+      applicableTags: attributeListSchema.label('Applicable Tags'),
+      excludedProducts: Joi.array()
+        .items(Joi.number().integer().positive())
+        .label('Excluded Products'),
+      excludedCategories: attributeListSchema.label('Excluded Categories'),
+      excludedBrands: attributeListSchema.label('Excluded Brands'),
+      excludedTags: attributeListSchema.label('Excluded Tags'),
+      buyProducts: Joi.forbidden().messages({
+        'any.unknown': 'buyProducts is not allowed for PRODUCT_WISE coupons'
+      }),
+      getProducts: Joi.forbidden().messages({
+        'any.unknown': 'getProducts is not allowed for PRODUCT_WISE coupons'
+      })
+    }).custom((value, helpers) => {
+      // Additional validation: For percentage discount, limit to 100%
+      if (value.discountType === 'PERCENTAGE' && value.discountValue > 100) {
+        return helpers.error('any.invalid', {
+          message: 'Percentage discount cannot exceed 100%'
+        });
+      }
+      return value;
+    }, 'Discount value validation');
+  }
+
+  validateCouponData(couponData) {
+    const errors = [];
+    if (!this.hasTargets(couponData)) {
+      errors.push('Product-wise coupons require applicableProducts, applicableCategories, applicableBrands or applicableTags');
+    }
+    if (couponData.buyProducts || couponData.getProducts) {
+      errors.push('Product-wise coupons should not have buyProducts or getProducts');
+    }
+    return errors;
+  }
+
+  isValidDiscountValue(value) {
+    return value > 0; // Fixed amount or percentage
+  }
+
+  hasTargets(coupon) {
+    return TARGET_FIELDS.some(field => hasAny(coupon[field]));
+  }
+
+  isExcludedItem(coupon, item) {
+    const category = normalize(item.category);
+    const brand = normalize(item.brand);
+    const tags = (item.tags || []).map(normalize);
+    return (coupon.excludedProducts || []).includes(item.productId) ||
+      Boolean(category && (coupon.excludedCategories || []).includes(category)) ||
+      Boolean(brand && (coupon.excludedBrands || []).includes(brand)) ||
+      tags.some(tag => (coupon.excludedTags || []).includes(tag));
+  }
+
+  isTargetedItem(coupon, item) {
+    const category = normalize(item.category);
+    const brand = normalize(item.brand);
+    const tags = (item.tags || []).map(normalize);
+    return (coupon.applicableProducts || []).includes(item.productId) ||
+      Boolean(category && (coupon.applicableCategories || []).includes(category)) ||
+      Boolean(brand && (coupon.applicableBrands || []).includes(brand)) ||
+      tags.some(tag => (coupon.applicableTags || []).includes(tag));
+  }
+
+  // An item matches if any target (product, category, brand or tag) matches and no exclusion does
+  isEligibleItem(coupon, item) {
+    return !this.isExcludedItem(coupon, item) && this.isTargetedItem(coupon, item);
+  }
+
+  getCandidateTargets(coupon) {
+    return {
+      products: coupon.applicableProducts || [],
+      categories: coupon.applicableCategories || [],
+      brands: coupon.applicableBrands || [],
+      tags: coupon.applicableTags || []
+    };
+  }
+
+  checkApplicability(coupon, cart) {
+    if (!this.hasTargets(coupon)) {
+      return { applicable: false, reason: 'No applicable products defined' };
+    }
+    const applicableItems = cart.items.filter(item => 
+      this.isEligibleItem(coupon, item)
+    );
+    
+    if (applicableItems.length === 0) {
+      return { applicable: false, reason: 'No applicable products in cart' };
+    }
+    const applicableTotal = applicableItems.reduce((total, item) => {
+      return total + (item.price * item.quantity);
+    }, 0);
+    
+    return { 
+      applicable: true, 
+      applicableItems, 
+      applicableTotal 
+    };
+  }
+
+  // Which cart products the coupon targets, and which of those an exclusion rules out
+  explainApplicability(coupon, cart) {
+    const targeted = cart.items.filter(item => this.isTargetedItem(coupon, item));
+    const eligible = targeted.filter(item => !this.isExcludedItem(coupon, item));
+    const passed = this.hasTargets(coupon) && eligible.length > 0;
+    return [{
+      rule: 'productMatch',
+      passed,
+      ...(!passed && {
+        reason: targeted.length > 0
+          ? 'Every targeted product in the cart is excluded'
+          : 'No applicable products in cart'
+      }),
+      matchingProducts: eligible.map(item => item.productId),
+      excludedProducts: targeted.filter(item => this.isExcludedItem(coupon, item)).map(item => item.productId),
+      applicableTotal: roundAmount(eligible.reduce((total, item) => total + item.price * item.quantity, 0))
+    }];
+  }
+
+  calculateDiscount(coupon, cart) {
+    const eligibleItems = cart.items.filter(item =>
+      this.isEligibleItem(coupon, item)
+    );
+    
+    if (eligibleItems.length === 0) {
+      return { discount: 0, reason: 'No applicable products in cart' };
+    }
+    
+    let totalDiscount = 0;
+    const itemDiscounts = [];
+    
+    eligibleItems.forEach(item => {
+      const itemNetTotal = calculateItemNetTotal(item);
+      let itemDiscount = 0;
+      
+      if (coupon.discountType === 'PERCENTAGE') {
+        itemDiscount = (itemNetTotal * coupon.discountValue) / 100;
+      } else {
+        itemDiscount = coupon.discountValue * item.quantity;
+      }
+      itemDiscount = Math.min(itemDiscount, itemNetTotal);
+      
+      totalDiscount += itemDiscount;
+      itemDiscounts.push({
+        productId: item.productId,
+        quantity: item.quantity,
+        itemDiscount
+      });
+    });
+    
+    if (coupon.maxDiscount && totalDiscount > coupon.maxDiscount) {
+      // Spread the cap across the line items so they still add up
+      const ratio = coupon.maxDiscount / totalDiscount;
+      itemDiscounts.forEach(itemDiscount => {
+        itemDiscount.itemDiscount *= ratio;
+      });
+      totalDiscount = coupon.maxDiscount;
+    }
+    itemDiscounts.forEach(itemDiscount => {
+      itemDiscount.itemDiscount = roundAmount(itemDiscount.itemDiscount);
+    });
+    
+    return {
+      discount: roundAmount(totalDiscount),
+      itemDiscounts,
+      discountType: coupon.discountType === 'PERCENTAGE' ? 'percentage' : 'fixed'
+    };
+  }
+
+  applyToCart(updatedCart, discountResult) {
+    discountResult.itemDiscounts.forEach(itemDiscount => {
+      const item = updatedCart.items.find(i => i.productId === itemDiscount.productId);
+      if (item) {
+        applyItemDiscount(item, itemDiscount.itemDiscount);
+      }
+    });
+  }
+}
@@ -0,0 +1,61 @@
+// Cart total before any discount
+export function calculateCartTotal(cart) {
+  if (!cart || !cart.items) return 0;
+  
+  return cart.items.reduce((total, item) => {
+    return total + (item.price * item.quantity);
+  }, 0);
+}
+
+// Cart total after discounts from coupons already applied to it
+export function calculateNetCartTotal(cart) {
+  const cartTotal = calculateCartTotal(cart);
+  return Math.max(0, cartTotal - ((cart && cart.totalDiscount) || 0));
+}
+
+export function calculateItemNetTotal(item) {
+  return Math.max(0, (item.price * item.quantity) - (item.totalDiscount || 0));
+}
+
+export function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Adds a line item discount to a cart item copy
+export function applyItemDiscount(item, amount) {
+  item.totalDiscount = (item.totalDiscount || 0) + amount;
+  item.discountedPrice = (item.price * item.quantity) - item.totalDiscount;
+}
+
+// Splits a discount over lines ({ productId, quantity, value }) by their share of the total
+// value; the last line takes the rounding remainder so the item discounts add up
+export function allocateDiscount(lines, totalDiscount) {
+  const totalValue = lines.reduce((total, line) => total + line.value, 0);
+  let allocated = 0;
+  return lines.map((line, index) => {
+    const itemDiscount = index === lines.length - 1
+      ? roundAmount(totalDiscount - allocated)
+      : roundAmount((totalDiscount * line.value) / totalValue);
+    allocated += itemDiscount;
+    return {
+      productId: line.productId,
+      quantity: line.quantity,
+      itemDiscount
+    };
+  });
+}
+
+const CART_ITEM_FIELDS = ['productId', 'quantity', 'price', 'category', 'brand', 'tags'];
+
+// Cart items as the customer sent them, without discounts written by applied coupons
+export function stripCartDiscounts(cart) {
+  return {
+    items: cart.items.map(item => {
+      const baseItem = {};
+      CART_ITEM_FIELDS.forEach(field => {
+        if (item[field] !== undefined) baseItem[field] = item[field];
+      });
+      return baseItem;
+    })
+  };
+}
@@ -0,0 +1,19 @@
+import { randomInt } from 'crypto';
+
+// Characters that are easily misread on print (0/O, 1/I/L) are left out
+export const AMBIGUOUS_CHARACTERS = '01OIL';
+export const DEFAULT_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+// Random part of a code, each character drawn uniformly with a CSPRNG
+export function generateCode({ prefix = '', length, alphabet = DEFAULT_CODE_ALPHABET }) {
+  let code = prefix;
+  for (let i = 0; i < length; i++) {
+    code += alphabet[randomInt(alphabet.length)];
+  }
+  return code;
+}
+
+// Number of distinct codes an alphabet and length can produce
+export function countCombinations(alphabet, length) {
+  return Math.pow(alphabet.length, length);
+}
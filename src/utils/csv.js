@@ -0,0 +1,88 @@
+// Minimal RFC 4180 CSV: quoted fields may hold commas, quotes ("") and line breaks
+
+// Spreadsheets run a cell starting with =, +, - or @ (or tab or carriage return) as a
+// formula, so such cells are written behind a '. Cells already starting with ' get one
+// too, so parseCsv can drop exactly one and read back what was written.
+const FORMULA_START = /^[=+\-@\t\r']/;
+const ESCAPED_FORMULA_START = /^'[=+\-@\t\r']/;
+
+export function escapeCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = String(value);
+  if (FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function unescapeCell(text) {
+  return ESCAPED_FORMULA_START.test(text) ? text.slice(1) : text;
+}
+
+export function toCsv(columns, rows) {
+  const lines = [columns.map(escapeCell).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCell(row[column])).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+// Parses CSV text into one object per data row, keyed by the header row
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(fields => fields.some(field => field.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+  const [header, ...dataRows] = nonEmpty;
+  const columns = header.map(column => column.trim());
+  return dataRows.map(fields => {
+    const row = {};
+    columns.forEach((column, index) => {
+      row[column] = fields[index] !== undefined ? unescapeCell(fields[index]) : '';
+    });
+    return row;
+  });
+}
@@ -0,0 +1,3 @@
+// Whether a route parameter can be a MongoDB ObjectId, checked before findById so a
+// malformed id is a 404 rather than a CastError
+export const isObjectId = id => /^[a-f0-9]{24}$/i.test(id);
@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+// Verifies an HS256 JSON Web Token and returns its claims; throws when the token is malformed,
+// signed with another key or algorithm, expired or not yet valid
+export function verifyJwt(token, secret, now = Date.now()) {
+  const segments = token.split('.');
+  if (segments.length !== 3) {
+    throw new Error('Malformed token');
+  }
+  const [header, payload, signature] = segments;
+
+  let algorithm;
+  let claims;
+  try {
+    algorithm = decodeSegment(header).alg;
+    claims = decodeSegment(payload);
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+  if (!claims || typeof claims !== 'object') {
+    throw new Error('Malformed token');
+  }
+  // Pinned so a token cannot pick 'none' or another algorithm
+  if (algorithm !== 'HS256') {
+    throw new Error('Unsupported token algorithm');
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new Error('Invalid token signature');
+  }
+
+  const seconds = Math.floor(now / 1000);
+  if (typeof claims.exp === 'number' && seconds >= claims.exp) {
+    throw new Error('Token has expired');
+  }
+  if (typeof claims.nbf === 'number' && seconds < claims.nbf) {
+    throw new Error('Token is not valid yet');
+  }
+  return claims;
+}
+
+// Signs claims as an HS256 token, e.g. for scripts that issue tokens to storefront clients
+export function signJwt(claims, secret) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+  return `${unsigned}.${signature}`;
+}
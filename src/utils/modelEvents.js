@@ -0,0 +1,5 @@
+import { EventEmitter } from 'events';
+
+// Model middleware raises 'coupon' and 'campaign' with the written document after every
+// save or findOneAndUpdate, so in-process caches can follow changes made anywhere in the app
+export const modelEvents = new EventEmitter();
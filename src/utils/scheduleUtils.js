@@ -0,0 +1,140 @@
+export const DAYS_OF_WEEK = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// 'HH:MM' to minutes since midnight
+export function parseTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Wall clock date and time of an instant in a time zone
+export function getZonedParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(part => {
+    parts[part.type] = Number(part.value);
+  });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay(),
+    minutes: parts.hour * 60 + parts.minute,
+    seconds: parts.second
+  };
+}
+
+// Instant at which the wall clock in a time zone shows the given date and minute of day
+export function zonedTimeToUtc({ year, month, day, minutes }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  let instant = wallClock;
+  // Two passes settle the offset when the guess lands on the other side of a DST change
+  for (let i = 0; i < 2; i++) {
+    const parts = getZonedParts(new Date(instant), timeZone);
+    const shown = Date.UTC(parts.year, parts.month - 1, parts.day, 0, parts.minutes, parts.seconds);
+    instant += wallClock - shown;
+  }
+  return new Date(instant);
+}
+
+export function hasSchedule(schedule) {
+  return Boolean(schedule && (
+    (schedule.daysOfWeek && schedule.daysOfWeek.length > 0) ||
+    (schedule.timeRanges && schedule.timeRanges.length > 0)
+  ));
+}
+
+function isScheduledDay(schedule, weekday) {
+  return !schedule.daysOfWeek || schedule.daysOfWeek.length === 0 ||
+    schedule.daysOfWeek.includes(DAYS_OF_WEEK[weekday]);
+}
+
+// Time ranges in minutes; a range whose end is before its start runs past midnight
+function getRanges(schedule) {
+  if (!schedule.timeRanges || schedule.timeRanges.length === 0) {
+    return [{ start: 0, end: MINUTES_PER_DAY }];
+  }
+  return schedule.timeRanges
+    .map(range => ({ start: parseTime(range.start), end: parseTime(range.end) }))
+    .sort((a, b) => a.start - b.start);
+}
+
+// Days of week pick the day a range starts on, so 22:00-02:00 on FRI runs into Saturday
+export function isWithinSchedule(schedule, date, timeZone) {
+  if (!hasSchedule(schedule)) {
+    return true;
+  }
+
+  const { weekday, minutes } = getZonedParts(date, timeZone);
+  const previousDay = (weekday + 6) % 7;
+  return getRanges(schedule).some(range => {
+    if (range.start < range.end) {
+      return isScheduledDay(schedule, weekday) && minutes >= range.start && minutes < range.end;
+    }
+    return (isScheduledDay(schedule, weekday) && minutes >= range.start) ||
+      (isScheduledDay(schedule, previousDay) && minutes < range.end);
+  });
+}
+
+// Earliest instant at or after `from` that falls inside the schedule
+export function getNextScheduledTime(schedule, from, timeZone) {
+  if (isWithinSchedule(schedule, from, timeZone)) {
+    return from;
+  }
+
+  const today = getZonedParts(from, timeZone);
+  const ranges = getRanges(schedule);
+  for (let offset = 0; offset <= 7; offset++) {
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    if (!isScheduledDay(schedule, date.getUTCDay())) {
+      continue;
+    }
+    for (const range of ranges) {
+      const start = zonedTimeToUtc({
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        minutes: range.start
+      }, timeZone);
+      if (start > from) {
+        return start;
+      }
+    }
+  }
+  return null;
+}
+
+// e.g. 'SAT 2026-10-24 18:00 Asia/Kolkata'
+export function formatZonedTime(date, timeZone) {
+  const { year, month, day, weekday, minutes } = getZonedParts(date, timeZone);
+  const pad = value => String(value).padStart(2, '0');
+  return `${DAYS_OF_WEEK[weekday]} ${year}-${pad(month)}-${pad(day)} ` +
+    `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)} ${timeZone}`;
+}
@@ -1,17 +1,34 @@
 import Joi from 'joi';
+import { CouponFactory } from '../strategies/couponFactory.js';
+import { buyGetProductSchema } from '../strategies/bxgyStrategy.js';
+import { DAYS_OF_WEEK, isValidTimeZone } from './scheduleUtils.js';
+import { AMBIGUOUS_CHARACTERS, DEFAULT_CODE_ALPHABET } from './codeGenerator.js';
+import { WEBHOOK_EVENTS } from '../models/webhookSubscription.js';
+import { DELIVERY_STATUSES } from '../models/webhookDelivery.js';
 
-// Common product schema for buyProducts and getProducts
-const buyGetProductSchema = Joi.object({
-  productId: Joi.number().integer().positive().required(),
-  quantity: Joi.number().integer().positive().required(),
-  productName: Joi.string().optional(),
-  price: Joi.number().positive().optional()
+const timeOfDay = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({
+  'string.pattern.base': '{#label} must be a time of day as HH:MM'
 });
 
+const timeZone = Joi.string().custom((value, helpers) => {
+  return isValidTimeZone(value) ? value : helpers.message('{#label} must be a valid IANA time zone');
+});
+
+// Recurring window; a time range whose end is before its start runs past midnight
+const scheduleSchema = Joi.object({
+  daysOfWeek: Joi.array().items(Joi.string().uppercase().valid(...DAYS_OF_WEEK)).min(1).unique(),
+  timeRanges: Joi.array().items(Joi.object({
+    start: timeOfDay.required(),
+    end: timeOfDay.invalid(Joi.ref('start')).required().messages({
+      'any.invalid': 'end must differ from start'
+    })
+  })).min(1)
+}).or('daysOfWeek', 'timeRanges');
+
 // Base coupon schema with common fields
 const baseCouponSchema = Joi.object({
   code: Joi.string().required().trim().uppercase().min(3).max(20),
-  type: Joi.string().valid('CART_WISE', 'PRODUCT_WISE', 'BXGY').required(),
+  type: Joi.string().required(),
   discountValue: Joi.number().min(0),
   minCartValue: Joi.number().min(0).default(0),
   maxDiscount: Joi.number().min(0).allow(null),
@@ -19,219 +36,390 @@ const baseCouponSchema = Joi.object({
   buyProducts: Joi.array().items(buyGetProductSchema),
   getProducts: Joi.array().items(buyGetProductSchema),
   repetitionLimit: Joi.number().integer().min(1).default(1),
-  expirationDate: Joi.date().iso().greater('now'),
+  validFrom: Joi.date().iso(),
+  expirationDate: Joi.date().iso().greater('now').when('validFrom', {
+    is: Joi.exist(),
+    then: Joi.date().greater(Joi.ref('validFrom')).messages({
+      'date.greater': 'expirationDate must be after validFrom and in the future'
+    })
+  }),
+  schedule: scheduleSchema,
+  timezone: timeZone,
   isActive: Joi.boolean().default(true),
   usageLimit: Joi.number().integer().positive().allow(null),
-  currentUsage: Joi.number().integer().min(0).default(0)
-});
-
-// CART_WISE Coupon Schema
-const cartWiseSchema = baseCouponSchema.keys({
-  type: Joi.string().valid('CART_WISE').required(),
-  discountValue: Joi.number()
-    .min(1).max(100)
-    .required()
-    .label('Discount Percentage'),
-  discountType: Joi.string()
-    .valid('PERCENTAGE')
-    .default('PERCENTAGE')
-    .label('Discount Type'),
-  applicableProducts: Joi.forbidden().messages({
-    'any.unknown': 'applicableProducts is not allowed for CART_WISE coupons'
-  }),
-  buyProducts: Joi.forbidden().messages({
-    'any.unknown': 'buyProducts is not allowed for CART_WISE coupons'
-  }),
-  getProducts: Joi.forbidden().messages({
-    'any.unknown': 'getProducts is not allowed for CART_WISE coupons'
-  })
-});
-
-// PRODUCT_WISE Coupon Schema
-const productWiseSchema = baseCouponSchema.keys({
-  type: Joi.string().valid('PRODUCT_WISE').required(),
-  discountValue: Joi.number()
-    .positive()
-    .required()
-    .label('Discount Value'),
-  discountType: Joi.string()
-    .valid('PERCENTAGE', 'FIXED_AMOUNT')
-    .required()
-    .label('Discount Type'),
-  applicableProducts: Joi.array()
-    .items(Joi.number().integer().positive())
-    .min(1)
-    .required()
-    .label('Applicable Products'),
-  buyProducts: Joi.forbidden().messages({
-    'any.unknown': 'buyProducts is not allowed for PRODUCT_WISE coupons'
-  }),
-  getProducts: Joi.forbidden().messages({
-    'any.unknown': 'getProducts is not allowed for PRODUCT_WISE coupons'
-  })
-}).custom((value, helpers) => {
-  // Additional validation: For percentage discount, limit to 100%
-  if (value.discountType === 'PERCENTAGE' && value.discountValue > 100) {
-    return helpers.error('any.invalid', {
-      message: 'Percentage discount cannot exceed 100%'
-    });
-  }
-  return value;
-}, 'Discount value validation');
-
-// BXGY Coupon Schema
-const bxgySchema = baseCouponSchema.keys({
-  type: Joi.string().valid('BXGY').required(),
-  discountValue: Joi.number()
-    .min(0)
-    .default(0)
-    .label('Discount Value'),
-  discountType: Joi.forbidden().messages({
-    'any.unknown': 'discountType is not applicable for BXGY coupons'
-  }),
-  applicableProducts: Joi.forbidden().messages({
-    'any.unknown': 'applicableProducts is not allowed for BXGY coupons'
-  }),
-  buyProducts: Joi.array()
-    .items(buyGetProductSchema)
-    .min(1)
-    .required()
-    .label('Buy Products'),
-  getProducts: Joi.array()
-    .items(buyGetProductSchema)
-    .min(1)
-    .required()
-    .label('Get Products')
-}).custom((value, helpers) => {
-    console.log(value);
-  // Custom validation for BXGY
-  
-  // 1. Ensure buyProducts and getProducts have unique productIds
-  const buyProductIds = value.buyProducts.map(p => p.productId);
-  const getProductIds = value.getProducts.map(p => p.productId);
-  
-  // Check for duplicates within each array
-  if (new Set(buyProductIds).size !== buyProductIds.length) {
-    return helpers.error('any.invalid', {
-      message: 'Buy products must have unique product IDs'
-    });
-  }
-  
-  if (new Set(getProductIds).size !== getProductIds.length) {
-    return helpers.error('any.invalid', {
-      message: 'Get products must have unique product IDs'
-    });
-  }
-  
-  // 2. Ensure no overlap between buy and get products
-  const overlap = buyProductIds.filter(id => getProductIds.includes(id));
-  if (overlap.length > 0) {
-    return helpers.error('any.invalid', {
-      message: 'Product cannot be both in buyProducts and getProducts'
-    });
-  }
-  
-  // 3. Validate buy quantities are positive (already done by schema, but double-check)
-  const invalidBuy = value.buyProducts.find(p => p.quantity <= 0);
-  if (invalidBuy) {
-    return helpers.error('any.invalid', {
-      message: 'Buy product quantities must be positive'
-    });
-  }
-  
-  // 4. Validate get quantities are positive (already done by schema, but double-check)
-  const invalidGet = value.getProducts.find(p => p.quantity <= 0);
-  if (invalidGet) {
-    return helpers.error('any.invalid', {
-      message: 'Get product quantities must be positive'
-    });
-  }
-  
-  return value;
-}, 'BXGY validation');
+  currentUsage: Joi.number().integer().min(0).default(0),
+  perUserLimit: Joi.number().integer().positive().allow(null),
+  // Left unset when omitted; the model defaults it, so partial updates keep the stored rule
+  firstOrderOnly: Joi.boolean(),
+  newCustomerDays: Joi.number().integer().positive().allow(null),
+  allowedSegments: Joi.array().items(Joi.string().trim().lowercase()),
+  blockedSegments: Joi.array().items(Joi.string().trim().lowercase()),
+  isStackable: Joi.boolean().default(true),
+  priority: Joi.number().integer().default(0),
+  typeConfig: Joi.object(),
+  campaign: Joi.string().hex().length(24).allow(null).label('Campaign')
+});
+
+// Units of one product a cart line can hold; keeps pricing work bounded for storefront carts
+export const MAX_CART_ITEM_QUANTITY = 10000;
 
 // Cart validation schema
 const cartSchema = Joi.object({
   items: Joi.array().items(
     Joi.object({
       productId: Joi.number().integer().positive().required(),
-      quantity: Joi.number().integer().positive().required(),
-      price: Joi.number().positive().required()
+      quantity: Joi.number().integer().positive().max(MAX_CART_ITEM_QUANTITY).required(),
+      price: Joi.number().positive().required(),
+      category: Joi.string().trim(),
+      brand: Joi.string().trim(),
+      tags: Joi.array().items(Joi.string().trim())
     })
   ).required().min(1)
 });
 
+// Customer context for eligibility rules
+const customerSchema = Joi.object({
+  userId: Joi.string().trim().max(100),
+  signupDate: Joi.date().iso(),
+  orderCount: Joi.number().integer().min(0),
+  segments: Joi.array().items(Joi.string().trim().lowercase())
+});
+
+// Coupon codes for stacking several coupons on one cart
+const couponCodesSchema = Joi.array()
+  .items(Joi.string().trim().uppercase().min(3).max(20))
+  .min(1)
+  .unique()
+  .required()
+  .label('Coupon Codes');
+
+// Options for POST /applicable-coupons
+const applicableCouponsOptionsSchema = Joi.object({
+  bestCombination: Joi.boolean().default(false),
+  explain: Joi.boolean().default(false),
+  explainCodes: couponCodesSchema.optional().label('Explain Codes'),
+  suggestions: Joi.boolean().default(false)
+});
+
+// Order details for redeeming a coupon
+const redemptionSchema = Joi.object({
+  orderId: Joi.string().trim().max(100).required().label('Order ID'),
+  userId: Joi.string().trim().max(100).label('User ID')
+});
+
+// Checkout details for reserving a coupon; the hold is keyed by order or cart
+const reservationSchema = Joi.object({
+  orderId: Joi.string().trim().max(100).label('Order ID'),
+  cartId: Joi.string().trim().max(100).label('Cart ID'),
+  userId: Joi.string().trim().max(100).label('User ID'),
+  ttlSeconds: Joi.number().integer().min(30).max(86400).label('TTL Seconds')
+}).or('orderId', 'cartId');
+
+// Confirmed order for committing a reservation
+const reservationCommitSchema = Joi.object({
+  orderId: Joi.string().trim().max(100).label('Order ID')
+});
+
+// Refund or cancellation of an order's redemptions; items makes it a partial reversal
+const reversalSchema = Joi.object({
+  couponCode: Joi.string().trim().uppercase().min(3).max(20).label('Coupon Code'),
+  items: Joi.array()
+    .items(Joi.object({
+      productId: Joi.number().integer().positive().required(),
+      quantity: Joi.number().integer().positive().required()
+    }))
+    .unique('productId')
+    .label('Returned Items'),
+  reason: Joi.string().trim().max(500).label('Reason')
+});
+
+// Generated code batch: codes are prefix + length random characters from alphabet
+const codeBatchSchema = Joi.object({
+  count: Joi.number().integer().min(1).max(50000).required().label('Count'),
+  prefix: Joi.string().trim().uppercase().pattern(/^[A-Z0-9-]*$/).max(10).allow('').default('').label('Prefix'),
+  length: Joi.number().integer().min(4).max(16).default(8).label('Length'),
+  alphabet: Joi.string().uppercase().default(DEFAULT_CODE_ALPHABET).custom((value, helpers) => {
+    if (!/^[A-Z0-9]+$/.test(value) || new Set(value).size !== value.length) {
+      return helpers.message('alphabet must be distinct letters and digits');
+    }
+    if ([...AMBIGUOUS_CHARACTERS].some(character => value.includes(character))) {
+      return helpers.message(`alphabet must not contain ambiguous characters (${AMBIGUOUS_CHARACTERS})`);
+    }
+    if (value.length < 10) {
+      return helpers.message('alphabet must have at least 10 characters');
+    }
+    return value;
+  }).label('Alphabet'),
+  codeUsageLimit: Joi.number().integer().min(1).default(1).label('Code Usage Limit')
+}).custom((value, helpers) => {
+  // Generated codes have to fit the coupon code length used everywhere else
+  if (value.prefix.length + value.length > 20) {
+    return helpers.message('prefix and length together must not exceed 20 characters');
+  }
+  return value;
+});
+
+// Download options for a batch's generated codes
+const codeExportQuerySchema = Joi.object({
+  format: Joi.string().valid('json', 'csv').default('json'),
+  unused: Joi.boolean().default(false)
+});
+
+// Campaign with a shared discount budget in ₹
+const campaignSchema = Joi.object({
+  name: Joi.string().trim().min(3).max(100).required().label('Name'),
+  description: Joi.string().trim().max(500).allow('').label('Description'),
+  startDate: Joi.date().iso().label('Start Date'),
+  endDate: Joi.date().iso().when('startDate', {
+    is: Joi.exist(),
+    then: Joi.date().greater(Joi.ref('startDate')).messages({
+      'date.greater': 'endDate must be after startDate'
+    })
+  }).label('End Date'),
+  budget: Joi.number().positive().required().label('Budget'),
+  isActive: Joi.boolean()
+});
+
+// Filters shared by GET /coupons and the coupon export
+const couponFilterKeys = {
+  type: Joi.string().uppercase(),
+  active: Joi.boolean(),
+  deleted: Joi.boolean().default(false),
+  codePrefix: Joi.string().trim().uppercase().max(50),
+  search: Joi.string().trim().max(50),
+  expiresBefore: Joi.date().iso(),
+  expiresAfter: Joi.date().iso(),
+  exhausted: Joi.boolean(),
+  productId: Joi.number().integer()
+};
+
+// Export format for coupons; filters are the same as GET /coupons
+const couponExportQuerySchema = Joi.object({
+  ...couponFilterKeys,
+  format: Joi.string().valid('json', 'csv').default('json')
+});
+
+// Import options: upsert updates coupons whose code exists, skip leaves them alone
+const couponImportOptionsSchema = Joi.object({
+  mode: Joi.string().valid('upsert', 'skip').default('skip'),
+  dryRun: Joi.boolean().default(false)
+});
+
+// Listing options for GET /coupons
+const couponListQuerySchema = Joi.object({
+  ...couponFilterKeys,
+  sortBy: Joi.string().valid('created', 'expiration', 'usage').default('created'),
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  cursor: Joi.string().max(500)
+});
+
+// Version to roll a coupon back to, or to look up in its history
+const rollbackSchema = Joi.object({
+  version: Joi.number().integer().min(1).required()
+});
+
+// Reporting period for analytics; the service defaults to the last 30 days
+const analyticsPeriodKeys = {
+  from: Joi.date().iso().when('to', {
+    is: Joi.exist(),
+    then: Joi.date().less(Joi.ref('to')).messages({ 'date.less': 'from must be before to' })
+  }),
+  to: Joi.date().iso()
+};
+
+// Time series of one coupon or campaign
+const analyticsSeriesQuerySchema = Joi.object({
+  ...analyticsPeriodKeys,
+  interval: Joi.string().valid('day', 'hour').default('day'),
+  timezone: timeZone.default('UTC')
+});
+
+// Top-N ranking of coupons or campaigns
+const analyticsRankingQuerySchema = Joi.object({
+  ...analyticsPeriodKeys,
+  metric: Joi.string().valid('redemptions', 'discountGiven', 'grossRevenue', 'averageOrderValue').default('redemptions'),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  campaign: Joi.string().hex().length(24).label('Campaign')
+});
+
+// Webhook subscription; events lists the coupon events to receive, or '*' for all
+const webhookSchema = Joi.object({
+  url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).required().label('URL'),
+  events: Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS, '*')).min(1).unique().required().label('Events'),
+  description: Joi.string().trim().max(200).allow('').label('Description'),
+  isActive: Joi.boolean()
+});
+
+// Filters for a subscription's delivery log
+const webhookDeliveryQuerySchema = Joi.object({
+  status: Joi.string().uppercase().valid(...DELIVERY_STATUSES),
+  event: Joi.string().valid(...WEBHOOK_EVENTS),
+  limit: Joi.number().integer().min(1).max(500).default(50)
+});
+
+// Query options for redemption history
+const redemptionQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(500).default(50)
+});
+
 // Validate cart data
 export function validateCart(data) {
   return cartSchema.validate(data, { abortEarly: false });
 }
 
-// Main coupon validation function
-export function validateCoupon(data, isUpdate = false) {
+// Validate customer context
+export function validateCustomer(data) {
+  return customerSchema.validate(data, { abortEarly: false, stripUnknown: true });
+}
+
+// Validate list of coupon codes
+export function validateCouponCodes(data) {
+  return couponCodesSchema.validate(data, { abortEarly: false });
+}
+
+// Validate redemption order details
+export function validateRedemption(data) {
+  return redemptionSchema.validate(data, { abortEarly: false, stripUnknown: true });
+}
+
+// Validate reservation checkout details
+export function validateReservation(data) {
+  return reservationSchema.validate(data, { abortEarly: false, stripUnknown: true });
+}
+
+// Validate reservation commit details
+export function validateReservationCommit(data) {
+  return reservationCommitSchema.validate(data, { abortEarly: false, stripUnknown: true });
+}
+
+// Validate redemption reversal details
+export function validateReversal(data) {
+  return reversalSchema.validate(data, { abortEarly: false, stripUnknown: true });
+}
+
+// Validate code batch generation options
+export function validateCodeBatch(data) {
+  return codeBatchSchema.validate(data, { abortEarly: false, stripUnknown: true });
+}
+
+// Validate generated code download query
+export function validateCodeExportQuery(data) {
+  return codeExportQuerySchema.validate(data, { abortEarly: false, stripUnknown: true });
+}
+
+// Validate campaign data
+export function validateCampaign(data, isUpdate = false) {
+  const schema = isUpdate
+    ? campaignSchema.fork(['name', 'budget'], (field) => field.optional())
+    : campaignSchema;
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+}
+
+// Validate coupon export query
+export function validateCouponExportQuery(data) {
+  return couponExportQuerySchema.validate(data, { abortEarly: false, stripUnknown: true });
+}
+
+// Validate coupon import options
+export function validateCouponImportOptions(data) {
+  return couponImportOptionsSchema.validate(data, { abortEarly: false, stripUnknown: true });
+}
+
+// Validate coupon list query
+export function validateCouponListQuery(data) {
+  return couponListQuerySchema.validate(data, { abortEarly: false, stripUnknown: true });
+}
+
+// Validate rollback target version
+export function validateRollback(data) {
+  return rollbackSchema.validate(data, { abortEarly: false });
+}
+
+// Validate analytics time series query
+export function validateAnalyticsSeriesQuery(data) {
+  return analyticsSeriesQuerySchema.validate(data, { abortEarly: false, stripUnknown: true });
+}
+
+// Validate analytics ranking query
+export function validateAnalyticsRankingQuery(data) {
+  return analyticsRankingQuerySchema.validate(data, { abortEarly: false, stripUnknown: true });
+}
+
+// Validate webhook subscription; on update every field is optional
+export function validateWebhook(data, isUpdate = false) {
+  const schema = isUpdate
+    ? webhookSchema.fork(['url', 'events'], field => field.optional())
+    : webhookSchema;
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+}
+
+// Validate webhook delivery log query
+export function validateWebhookDeliveryQuery(data) {
+  return webhookDeliveryQuerySchema.validate(data, { abortEarly: false, stripUnknown: true });
+}
+
+// Validate redemption history query
+export function validateRedemptionQuery(data) {
+  return redemptionQuerySchema.validate(data, { abortEarly: false, stripUnknown: true });
+}
+
+// Validate options for applicable coupons lookup
+export function validateApplicableCouponsOptions(data) {
+  return applicableCouponsOptionsSchema.validate(data, { abortEarly: false, stripUnknown: true });
+}
+
+// Schema for a registered coupon type, built by its strategy
+function getTypeSchema(strategy, isUpdate) {
+  const schema = strategy.buildValidationSchema(baseCouponSchema);
+  if (!isUpdate) {
+    return schema;
+  }
+  // For updates, make required fields optional; forbidden ones stay forbidden
+  const { keys } = schema.describe();
+  const required = Object.keys(keys).filter(key => keys[key].flags && keys[key].flags.presence === 'required');
+  return schema.fork(required, (field) => field.optional());
+}
+
+// Fields a coupon type accepts, for callers that need to shape coupon data
+export function getCouponFields(type) {
+  const strategy = CouponFactory.get(type);
+  const schema = strategy ? getTypeSchema(strategy, false) : baseCouponSchema;
+  return Object.keys(schema.describe().keys);
+}
+
+// Main coupon validation function. An update that leaves out type is checked
+// against storedType, the type of the coupon being updated.
+export function validateCoupon(data, isUpdate = false, storedType) {
   let schema;
+  const type = data.type || (isUpdate ? storedType : undefined);
   
-  // If no type specified and not an update, we can't determine which schema to use
-  if (!data.type && !isUpdate) {
-    // For creation, type is required
+  // Without a type there is no schema to pick, so type is reported as required
+  if (!type) {
     const genericSchema = baseCouponSchema.fork(['type'], (field) => field.required());
     return genericSchema.validate(data, { abortEarly: false, stripUnknown: true });
   }
   
-  // Determine which schema to use based on type
-  switch(data.type) {
-    case 'CART_WISE':
-      schema = cartWiseSchema;
-      break;
-    case 'PRODUCT_WISE':
-      schema = productWiseSchema;
-      break;
-    case 'BXGY':
-      schema = bxgySchema;
-      break;
-    default:
-      // If no type specified (for update), create conditional schema
-      schema = Joi.alternatives().try(
-        cartWiseSchema,
-        productWiseSchema,
-        bxgySchema
-      ).match('one');
-  }
-  
-  // For updates, make all fields optional
-  if (isUpdate) {
-    if (data.type) {
-      // Create optional version of the specific schema
-      schema = schema.fork(Object.keys(schema.describe().keys), (field) => field.optional());
-    } else {
-      // If updating without specifying type, make a conditional optional schema
-      const optionalCartWise = cartWiseSchema.fork(
-        Object.keys(cartWiseSchema.describe().keys), 
-        (field) => field.optional()
-      );
-      const optionalProductWise = productWiseSchema.fork(
-        Object.keys(productWiseSchema.describe().keys), 
-        (field) => field.optional()
-      );
-      const optionalBxgy = bxgySchema.fork(
-        Object.keys(bxgySchema.describe().keys), 
-        (field) => field.optional()
-      );
-      
-      schema = Joi.alternatives().try(
-        optionalCartWise,
-        optionalProductWise,
-        optionalBxgy
-      ).match('one');
-    }
+  const strategy = CouponFactory.get(type);
+  if (!strategy) {
+    schema = baseCouponSchema.keys({
+      type: Joi.string().valid(...CouponFactory.getTypes()).required()
+    });
+  } else {
+    schema = getTypeSchema(strategy, isUpdate);
   }
   
   return schema.validate(data, { 
     abortEarly: false,
     stripUnknown: true,
+    // Defaults are for new coupons; on an update they would overwrite stored settings
+    // (isStackable, priority, discountType, bxgyMode, currentUsage...) the caller left out
+    noDefaults: isUpdate,
+    context: { isUpdate },
     errors: {
       wrap: {
         label: false
       }
     }
   });
-}
+}
\ No newline at end of file
@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Coupon from '../src/models/coupon.js';
+import { CouponService } from '../src/services/couponService.js';
+
+// Shirt (product 1, 600) and two pairs of socks (product 2, 100 each)
+const bundle = (fields = {}) => new Coupon({
+  code: 'KIT', type: 'BUNDLE', discountType: 'BUNDLE_PRICE', discountValue: 650,
+  bundleProducts: [{ productId: 1, quantity: 1 }, { productId: 2, quantity: 2 }],
+  ...fields
+});
+
+const cart = (shirts, socks) => ({
+  items: [
+    { productId: 1, quantity: shirts, price: 600 },
+    { productId: 2, quantity: socks, price: 100 }
+  ]
+});
+
+describe('BundleStrategy', () => {
+  it('sells each complete set at the bundle price and spreads the saving over its lines', () => {
+    const result = CouponService.calculateDiscount(bundle(), cart(1, 3));
+    assert.equal(result.sets, 1);
+    assert.equal(result.bundleValue, 800);
+    assert.equal(result.discount, 150);
+    assert.deepEqual(result.itemDiscounts.map(line => [line.productId, line.quantity, line.itemDiscount]), [
+      [1, 1, 112.5],
+      [2, 2, 37.5]
+    ]);
+  });
+
+  it('counts as many sets as the repetition limit allows', () => {
+    assert.equal(CouponService.calculateDiscount(bundle({ repetitionLimit: 2 }), cart(3, 6)).sets, 2);
+    assert.equal(CouponService.calculateDiscount(bundle({ repetitionLimit: 5 }), cart(3, 5)).sets, 2);
+  });
+
+  it('takes a fixed amount off each set', () => {
+    const result = CouponService.calculateDiscount(
+      bundle({ discountType: 'FIXED_AMOUNT', discountValue: 50, repetitionLimit: 3 }),
+      cart(2, 4)
+    );
+    assert.equal(result.discount, 100);
+  });
+
+  it('lists what is missing from an incomplete bundle', () => {
+    const applicability = CouponService.checkCartApplicability(bundle(), cart(1, 1));
+    assert.equal(applicability.applicable, false);
+    assert.deepEqual(applicability.missingProducts, [{ productId: 2, quantityNeeded: 1 }]);
+  });
+
+  it('gives nothing when the bundle price is not a saving', () => {
+    assert.equal(CouponService.calculateDiscount(bundle({ discountValue: 900 }), cart(1, 2)).discount, 0);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BxGyStrategy } from '../src/strategies/bxgyStrategy.js';
+import { validateCart, MAX_CART_ITEM_QUANTITY } from '../src/utils/validators.js';
+
+const strategy = new BxGyStrategy();
+
+const pool = (fields = {}) => ({
+  bxgyMode: 'POOL',
+  buyProducts: [{ productId: 1 }, { productId: 2 }, { productId: 3 }],
+  getProducts: [{ productId: 1 }, { productId: 2 }, { productId: 3 }],
+  buyQuantity: 2,
+  getQuantity: 1,
+  repetitionLimit: 10,
+  ...fields
+});
+
+describe('BxGyStrategy POOL mode', () => {
+  it('gives the cheapest units of an overlapping pool', () => {
+    const result = strategy.calculateDiscount(pool(), {
+      items: [
+        { productId: 1, quantity: 1, price: 300 },
+        { productId: 2, quantity: 1, price: 200 },
+        { productId: 3, quantity: 1, price: 100 }
+      ]
+    });
+    assert.equal(result.applications, 1);
+    assert.equal(result.discount, 100);
+    assert.deepEqual(result.freeItems.map(item => [item.productId, item.freeQuantity]), [[3, 1]]);
+  });
+
+  it('counts the sets an overlapping pool can fill without trying each count', () => {
+    // 7 units: buy 2 get 1 fills two sets (6 units); the seventh is left over
+    const result = strategy.calculateDiscount(pool(), { items: [{ productId: 1, quantity: 7, price: 10 }] });
+    assert.equal(result.applications, 2);
+    assert.equal(result.discount, 20);
+  });
+
+  it('limits the rewards taken from units that also pay for the sets', () => {
+    const coupon = pool({
+      buyProducts: [{ productId: 1 }, { productId: 2 }],
+      getProducts: [{ productId: 2 }, { productId: 3 }],
+      repetitionLimit: 1
+    });
+    // Product 2 is cheapest, but one unit of it has to pay alongside product 1
+    const result = strategy.calculateDiscount(coupon, {
+      items: [
+        { productId: 1, quantity: 1, price: 100 },
+        { productId: 2, quantity: 1, price: 10 },
+        { productId: 3, quantity: 1, price: 50 }
+      ]
+    });
+    assert.deepEqual(result.freeItems.map(item => [item.productId, item.itemDiscount]), [[3, 50]]);
+  });
+
+  it('applies the highest tier the cart can fill once', () => {
+    const coupon = pool({
+      buyQuantity: undefined,
+      getQuantity: undefined,
+      bxgyTiers: [{ buyQuantity: 2, getQuantity: 1 }, { buyQuantity: 4, getQuantity: 3 }]
+    });
+    const result = strategy.calculateDiscount(coupon, { items: [{ productId: 1, quantity: 7, price: 10 }] });
+    assert.deepEqual(result.tier, { buyQuantity: 4, getQuantity: 3 });
+    assert.equal(result.discount, 30);
+  });
+
+  it('prices huge quantities without expanding them into units', () => {
+    const coupon = pool({ buyProducts: [{ productId: 1 }], getProducts: [{ productId: 1 }], repetitionLimit: 1e9 });
+    const started = Date.now();
+    const result = strategy.calculateDiscount(coupon, { items: [{ productId: 1, quantity: 3e8, price: 1 }] });
+    assert.equal(result.applications, 1e8);
+    assert.equal(result.freeItems[0].freeQuantity, 1e8);
+    assert.ok(Date.now() - started < 100);
+  });
+});
+
+describe('BxGyStrategy SET mode', () => {
+  const set = {
+    bxgyMode: 'SET',
+    buyProducts: [{ productId: 1, quantity: 2 }],
+    getProducts: [{ productId: 2, quantity: 1 }],
+    repetitionLimit: 3,
+    getDiscountPercentage: 50
+  };
+
+  it('rewards one get line per product, up to the repetition limit', () => {
+    const result = strategy.calculateDiscount(set, {
+      items: [
+        { productId: 1, quantity: 10, price: 100 },
+        { productId: 2, quantity: 5, price: 40 }
+      ]
+    });
+    assert.equal(result.applications, 3);
+    assert.deepEqual(result.freeItems, [
+      { productId: 2, unitPrice: 40, freeQuantity: 3, discountPercentage: 50, itemDiscount: 60 }
+    ]);
+  });
+
+  it('reports the stored mode name in explain mode', () => {
+    const [rule] = strategy.explainApplicability(set, { items: [{ productId: 1, quantity: 2, price: 100 }] });
+    assert.equal(rule.mode, 'SET');
+    assert.equal(rule.sets, 1);
+  });
+});
+
+describe('cart validation', () => {
+  it('caps the quantity of a cart line', () => {
+    const line = quantity => ({ items: [{ productId: 1, quantity, price: 10 }] });
+    assert.equal(validateCart(line(MAX_CART_ITEM_QUANTITY)).error, undefined);
+    assert.ok(validateCart(line(MAX_CART_ITEM_QUANTITY + 1)).error);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Coupon from '../src/models/coupon.js';
+import { CouponService } from '../src/services/couponService.js';
+import { CouponFactory } from '../src/strategies/couponFactory.js';
+
+const tiered = (fields = {}) => new Coupon({
+  code: 'SPEND', type: 'CART_WISE', discountType: 'PERCENTAGE', discountValue: 5, maxDiscount: 100,
+  tiers: [
+    { minCartValue: 2000, discountValue: 15, maxDiscount: 250 },
+    { minCartValue: 500, discountValue: 5 },
+    { minCartValue: 1000, discountValue: 10 }
+  ],
+  ...fields
+});
+
+const cartOf = total => ({ items: [{ productId: 1, quantity: 1, price: total }] });
+
+describe('CartWiseStrategy tiers', () => {
+  it('uses the highest tier the cart reaches and shows the next one', () => {
+    const result = CouponService.calculateDiscount(tiered(), cartOf(1200));
+    assert.equal(result.discount, 100);
+    assert.equal(result.tier.level, 2);
+    assert.deepEqual(
+      { minCartValue: result.nextTier.minCartValue, amountNeeded: result.nextTier.amountNeeded },
+      { minCartValue: 2000, amountNeeded: 800 }
+    );
+  });
+
+  it("falls back to the coupon's cap when a tier has none", () => {
+    // 10% of 1500 is 150, over the coupon-wide cap of 100
+    assert.equal(CouponService.calculateDiscount(tiered(), cartOf(1500)).discount, 100);
+  });
+
+  it("uses the tier's own cap on the top tier", () => {
+    // 15% of 3000 is 450, capped by the tier at 250
+    const result = CouponService.calculateDiscount(tiered(), cartOf(3000));
+    assert.equal(result.discount, 250);
+    assert.equal(result.nextTier, undefined);
+  });
+
+  it('does not apply below the first tier', () => {
+    const applicability = CouponService.checkCartApplicability(tiered(), cartOf(400));
+    assert.equal(applicability.applicable, false);
+    assert.equal(applicability.nextTier.amountNeeded, 100);
+  });
+
+  it('suggests the spend needed for the next tier', () => {
+    const upsell = CouponFactory.get('CART_WISE').suggestUpsell(tiered(), cartOf(1800), 1800);
+    assert.equal(upsell.amountNeeded, 200);
+    assert.equal(upsell.targetCartValue, 2000);
+  });
+});
@@ -0,0 +1,28 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Coupon from '../src/models/coupon.js';
+
+const COUPON_ID = '64b7f0000000000000000001';
+
+// The filter a query runs with once the model's pre hooks have added to it
+async function filterAfterHooks(query) {
+  await Coupon.schema.s.hooks.execPre(query.op, query, []);
+  return query.getFilter();
+}
+
+describe('Coupon soft delete', () => {
+  it('leaves deleted coupons out of usage claims and holds', async () => {
+    assert.equal((await filterAfterHooks(Coupon.claimUsage(COUPON_ID))).deletedAt, null);
+    assert.equal((await filterAfterHooks(Coupon.reserveUsage(COUPON_ID))).deletedAt, null);
+  });
+
+  it('still gives back uses taken before the coupon was deleted', async () => {
+    for (const query of [
+      Coupon.releaseUsage(COUPON_ID),
+      Coupon.commitReservedUsage(COUPON_ID),
+      Coupon.releaseReservedUsage(COUPON_ID)
+    ]) {
+      assert.equal('deletedAt' in await filterAfterHooks(query), false);
+    }
+  });
+});
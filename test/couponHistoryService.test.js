@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Coupon from '../src/models/coupon.js';
+import { CouponHistoryService } from '../src/services/couponHistoryService.js';
+
+const coupon = () => new Coupon({
+  code: 'TEN', type: 'CART_WISE', discountType: 'PERCENTAGE', discountValue: 10
+});
+
+describe('CouponHistoryService.rollback', () => {
+  it('refuses a version that breaks the coupon rules', async (t) => {
+    const current = coupon();
+    t.mock.method(CouponHistoryService, 'getVersion', async () => ({
+      version: 1,
+      snapshot: { code: 'TEN', type: 'CART_WISE', discountType: 'PERCENTAGE', discountValue: 150 }
+    }));
+    const save = t.mock.method(current, 'save', async () => current);
+
+    await assert.rejects(CouponHistoryService.rollback(current, 1, 'admin'), /Version 1 cannot be restored/);
+    assert.equal(save.mock.callCount(), 0);
+    assert.equal(current.discountValue, 10);
+  });
+
+  it('restores a valid version', async (t) => {
+    const current = coupon();
+    t.mock.method(CouponHistoryService, 'getVersion', async () => ({
+      version: 1,
+      snapshot: { code: 'TEN', type: 'CART_WISE', discountType: 'FIXED_AMOUNT', discountValue: 150 }
+    }));
+    t.mock.method(current, 'save', async () => current);
+    t.mock.method(CouponHistoryService, 'recordVersion', async () => ({ version: 2, changes: [] }));
+
+    const version = await CouponHistoryService.rollback(current, 1, 'admin');
+    assert.equal(version.version, 2);
+    assert.equal(current.discountType, 'FIXED_AMOUNT');
+    assert.equal(current.discountValue, 150);
+  });
+});
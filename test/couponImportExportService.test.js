@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Coupon from '../src/models/coupon.js';
+import CouponCode from '../src/models/couponCode.js';
+import Campaign from '../src/models/campaign.js';
+import { CouponImportExportService } from '../src/services/couponImportExportService.js';
+
+const stored = (coupons) => (t) => {
+  t.mock.method(Coupon, 'find', () => ({ setOptions: async () => coupons }));
+  t.mock.method(CouponCode, 'find', async () => []);
+  t.mock.method(Campaign, 'find', async () => []);
+};
+
+describe('CouponImportExportService.importCoupons', () => {
+  it('rejects an upsert row that breaks the rules once merged with the stored coupon', async (t) => {
+    const existing = new Coupon({
+      code: 'SHOES', type: 'PRODUCT_WISE', discountType: 'PERCENTAGE', discountValue: 10,
+      applicableProducts: [1]
+    });
+    stored([existing])(t);
+    const save = t.mock.method(existing, 'save', async () => existing);
+
+    // Valid alone, but the stored coupon keeps its product list
+    const report = await CouponImportExportService.importCoupons(
+      [{ code: 'SHOES', type: 'CART_WISE', discountValue: 20 }],
+      { mode: 'upsert' }
+    );
+    assert.equal(report.invalid, 1);
+    assert.match(report.rows[0].errors[0], /should not have applicableProducts/);
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it('updates the supplied fields of a stored coupon in a dry run', async (t) => {
+    const existing = new Coupon({
+      code: 'TEN', type: 'CART_WISE', discountType: 'FIXED_AMOUNT', discountValue: 150
+    });
+    stored([existing])(t);
+
+    const report = await CouponImportExportService.importCoupons(
+      [{ code: 'TEN', type: 'CART_WISE', discountValue: 50 }],
+      { mode: 'upsert', dryRun: true }
+    );
+    assert.equal(report.updated, 1);
+    assert.equal(existing.discountValue, 50);
+    assert.equal(existing.discountType, 'FIXED_AMOUNT');
+  });
+});
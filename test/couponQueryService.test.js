@@ -0,0 +1,111 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Coupon from '../src/models/coupon.js';
+import { CouponQueryService } from '../src/services/couponQueryService.js';
+
+const FIELDS = { expiration: 'expirationDate', usage: 'currentUsage' };
+
+// Sort values as MongoDB compares them; a missing value sorts below every other
+function sortValue(field, value) {
+  if (value === undefined || value === null) return null;
+  if (field === '_id') return String(value);
+  if (field === 'expirationDate') return new Date(value).getTime();
+  return value;
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === null) return -1;
+  if (b === null) return 1;
+  return a < b ? -1 : 1;
+}
+
+// Enough of the query language for the filters listCoupons builds
+function matches(coupon, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(part => matches(coupon, part));
+    if (key === '$or') return condition.some(part => matches(coupon, part));
+    const value = sortValue(key, coupon.get(key));
+    if (condition === null || typeof condition !== 'object' || !Object.keys(condition).some(op => op.startsWith('$'))) {
+      return compare(value, sortValue(key, condition)) === 0;
+    }
+    return Object.entries(condition).every(([op, operand]) => {
+      const order = compare(value, sortValue(key, operand));
+      if (op === '$gt') return value !== null && order > 0;
+      if (op === '$lt') return value !== null && order < 0;
+      if (op === '$ne') return order !== 0;
+      throw new Error(`Unsupported operator ${op}`);
+    });
+  });
+}
+
+// Coupons with ties and missing expiration dates, in creation (_id) order
+const coupons = [
+  { expirationDate: '2026-12-01', currentUsage: 3 },
+  { expirationDate: null, currentUsage: 1 },
+  { expirationDate: '2026-11-01', currentUsage: 3 },
+  { expirationDate: '2026-12-01', currentUsage: 0 },
+  { expirationDate: null, currentUsage: 3 },
+  { expirationDate: '2026-11-01', currentUsage: 1 },
+  { expirationDate: '2027-01-01', currentUsage: 2 }
+].map((fields, index) => new Coupon({
+  code: `PAGE${index}`, type: 'CART_WISE', discountValue: 10, ...fields
+}));
+
+function sorted(field, direction) {
+  return [...coupons].sort((a, b) =>
+    direction * (compare(sortValue(field, a.get(field)), sortValue(field, b.get(field))) ||
+      compare(sortValue('_id', a._id), sortValue('_id', b._id)))
+  );
+}
+
+describe('CouponQueryService.listCoupons', () => {
+  beforeEach((t) => {
+    t.mock.method(Coupon, 'find', (filter) => {
+      const query = {
+        setOptions: () => query,
+        sort: (spec) => {
+          const [field, direction] = Object.entries(spec)[0];
+          query.result = sorted(field, direction).filter(coupon => matches(coupon, filter));
+          return query;
+        },
+        limit: async (count) => query.result.slice(0, count)
+      };
+      return query;
+    });
+    t.mock.method(Coupon, 'countDocuments', () => ({ setOptions: async () => coupons.length }));
+  });
+
+  for (const sortBy of Object.keys(FIELDS)) {
+    for (const order of ['asc', 'desc']) {
+      it(`pages through every coupon once sorted by ${sortBy} ${order}`, async () => {
+        const seen = [];
+        let cursor;
+        do {
+          const page = await CouponQueryService.listCoupons({ sortBy, order, limit: 2, cursor });
+          assert.equal(page.total, coupons.length);
+          seen.push(...page.coupons.map(coupon => coupon.code));
+          cursor = page.nextCursor;
+        } while (cursor);
+
+        const expected = sorted(FIELDS[sortBy], order === 'asc' ? 1 : -1).map(coupon => coupon.code);
+        assert.deepEqual(seen, expected);
+      });
+    }
+  }
+
+  it('rejects a cursor issued for another sort', async () => {
+    const { nextCursor } = await CouponQueryService.listCoupons({ sortBy: 'usage', order: 'asc', limit: 2 });
+    await assert.rejects(
+      CouponQueryService.listCoupons({ sortBy: 'usage', order: 'desc', limit: 2, cursor: nextCursor }),
+      /different sort/
+    );
+  });
+
+  it('rejects a cursor it did not issue', async () => {
+    await assert.rejects(
+      CouponQueryService.listCoupons({ sortBy: 'usage', order: 'asc', limit: 2, cursor: 'not-a-cursor' }),
+      /Invalid cursor/
+    );
+  });
+});
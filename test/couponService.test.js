@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Coupon from '../src/models/coupon.js';
+import { CouponService } from '../src/services/couponService.js';
+
+// 200 cart: two units of product 1 at 50 and one of product 2 at 100
+const cart = () => ({
+  items: [
+    { productId: 1, quantity: 2, price: 50 },
+    { productId: 2, quantity: 1, price: 100 }
+  ]
+});
+
+const cartWise = (fields = {}) => new Coupon({
+  code: 'CART90', type: 'CART_WISE', discountType: 'PERCENTAGE', discountValue: 90, priority: 2, ...fields
+});
+const productWise = (fields = {}) => new Coupon({
+  code: 'PROD100', type: 'PRODUCT_WISE', discountType: 'PERCENTAGE', discountValue: 100,
+  applicableProducts: [1], priority: 1, ...fields
+});
+
+describe('CouponService.applyCouponsToCart', () => {
+  it('spreads a cart-wise discount over the lines', () => {
+    const { updatedCart } = CouponService.applyCouponToCart(cartWise(), cart());
+    assert.equal(updatedCart.totalDiscount, 180);
+    assert.deepEqual(updatedCart.items.map(item => item.totalDiscount), [90, 90]);
+  });
+
+  it('prices a product-wise coupon after a cart-wise one against the discounted line', () => {
+    const { updatedCart, steps } = CouponService.applyCouponsToCart([cartWise(), productWise()], cart());
+    assert.deepEqual(steps.map(step => step.discount), [180, 10]);
+    assert.equal(updatedCart.totalDiscount, 190);
+    assert.equal(updatedCart.finalPrice, 10);
+  });
+
+  it('caps a stacked step at what is left to pay', () => {
+    // A cart carrying a discount its lines do not show, e.g. from an older client
+    const discounted = { ...cart(), totalDiscount: 195 };
+    const result = CouponService.calculateDiscount(productWise(), discounted);
+    assert.equal(result.discount, 5);
+    assert.equal(result.itemDiscounts[0].itemDiscount, 5);
+  });
+});
+
+describe('CouponService stacking rules', () => {
+  it('refuses to combine an exclusive coupon with others', () => {
+    assert.throws(
+      () => CouponService.applyCouponsToCart([cartWise({ isStackable: false }), productWise()], cart()),
+      /CART90 is exclusive and cannot be combined/
+    );
+  });
+
+  it('applies an exclusive coupon on its own', () => {
+    const { totalDiscount } = CouponService.applyCouponsToCart([cartWise({ isStackable: false })], cart());
+    assert.equal(totalDiscount, 180);
+  });
+
+  it('prices a free item at what is left to pay after a product-wise discount', () => {
+    const halfOff = productWise({ discountValue: 50, priority: 2 });
+    const buyOneGetOne = new Coupon({
+      code: 'B1G1', type: 'BXGY', priority: 1,
+      buyProducts: [{ productId: 1, quantity: 1 }],
+      getProducts: [{ productId: 1, quantity: 1 }]
+    });
+    const { steps, updatedCart } = CouponService.applyCouponsToCart([buyOneGetOne, halfOff], cart());
+    assert.deepEqual(steps.map(step => [step.code, step.discount]), [['PROD100', 50], ['B1G1', 25]]);
+    assert.equal(updatedCart.items[0].totalDiscount, 75);
+  });
+});
+
+describe('CouponService.findBestCombination', () => {
+  const buyOneGetOne = () => new Coupon({
+    code: 'B1G1', type: 'BXGY', priority: 1,
+    buyProducts: [{ productId: 1, quantity: 1 }],
+    getProducts: [{ productId: 1, quantity: 1 }]
+  });
+  const fixedOff = (code, discountValue, fields = {}) => new Coupon({
+    code, type: 'CART_WISE', discountType: 'FIXED_AMOUNT', discountValue, ...fields
+  });
+
+  it('scores stacks by what they save on the discounted lines', () => {
+    const best = CouponService.findBestCombination([cartWise(), productWise(), buyOneGetOne()], cart());
+    assert.deepEqual(best.codes, ['CART90', 'PROD100']);
+    assert.equal(best.totalDiscount, 190);
+    assert.equal(best.finalPrice, 10);
+  });
+
+  it('picks an exclusive coupon when it beats every stack', () => {
+    const exclusive = fixedOff('ALONE150', 150, { isStackable: false });
+    const best = CouponService.findBestCombination([exclusive, fixedOff('OFF50', 50), fixedOff('OFF40', 40)], cart());
+    assert.deepEqual(best.codes, ['ALONE150']);
+    assert.equal(best.totalDiscount, 150);
+  });
+
+  it('stacks when the stack saves more than the exclusive coupon', () => {
+    const exclusive = fixedOff('ALONE80', 80, { isStackable: false });
+    const best = CouponService.findBestCombination([exclusive, fixedOff('OFF50', 50), fixedOff('OFF40', 40)], cart());
+    assert.deepEqual(best.codes.sort(), ['OFF40', 'OFF50']);
+    assert.equal(best.totalDiscount, 90);
+  });
+
+  it('leaves out a coupon whose minimum the earlier discounts push the cart below', () => {
+    const best = CouponService.findBestCombination([
+      fixedOff('OFF100', 100, { priority: 2 }),
+      fixedOff('OFF30', 30, { minCartValue: 150 }),
+      fixedOff('OFF20', 20)
+    ], cart());
+    assert.deepEqual(best.codes, ['OFF100', 'OFF20']);
+    assert.equal(best.totalDiscount, 120);
+  });
+
+  it('returns null when no coupon applies', () => {
+    assert.equal(CouponService.findBestCombination([fixedOff('OFF30', 30, { minCartValue: 500 })], cart()), null);
+  });
+
+  it('prunes branches that cannot beat the best stack found', t => {
+    const coupons = Array.from({ length: 12 }, (_, index) => fixedOff(`OFF${index + 10}`, 10));
+    const applied = t.mock.method(CouponService, 'applyCouponToCart');
+    const best = CouponService.findBestCombination(coupons, { items: [{ productId: 1, quantity: 1, price: 1000 }] });
+    assert.equal(best.totalDiscount, 120);
+    // The first path takes every coupon; without pruning the search would walk 4096 subsets
+    assert.ok(applied.mock.callCount() < 50, `applied ${applied.mock.callCount()} times`);
+  });
+});
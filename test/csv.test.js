@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv, parseCsv } from '../src/utils/csv.js';
+
+describe('CSV', () => {
+  it('writes cells a spreadsheet would run as formulas behind a quote', () => {
+    const csv = toCsv(['code', 'tag'], [
+      { code: '=HYPERLINK("http://x")', tag: '+1' },
+      { code: '-SALE', tag: '@home' }
+    ]);
+    assert.equal(csv, [
+      'code,tag',
+      '"\'=HYPERLINK(""http://x"")",\'+1',
+      "'-SALE,'@home",
+      ''
+    ].join('\n'));
+  });
+
+  it('reads back what it wrote', () => {
+    const rows = [
+      { code: '=SUM(A1)', tag: "'quoted" },
+      { code: 'PLAIN', tag: 'a,b' }
+    ];
+    assert.deepEqual(parseCsv(toCsv(['code', 'tag'], rows)), rows);
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import {
+  rateLimit,
+  codeLookupGuard,
+  countCodeLookupFailures,
+  setRateLimitStore,
+  SERVER_CLIENTS
+} from '../src/middleware/rateLimit.js';
+import { MemoryStore } from '../src/middleware/rateLimitStore.js';
+
+const limits = { maxFailures: 2, failureWindowMs: 60000, lockoutMs: 60000 };
+
+const request = ({ id = 'web', ip = '10.0.0.1', shopper } = {}) => ({
+  auth: { id, role: 'storefront' },
+  ip,
+  get: name => (name === 'X-Shopper-Id' ? shopper : undefined)
+});
+
+// Runs a middleware, then finishes the response with `status` if it called next
+async function run(middleware, req, status = 404) {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.set = () => res;
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = () => res;
+  let passed = false;
+  await middleware(req, res, () => {
+    passed = true;
+  });
+  if (passed) {
+    res.statusCode = status;
+  }
+  res.emit('finish');
+  // Failures are counted after the response, off the request path
+  await new Promise(resolve => setImmediate(resolve));
+  return { passed, statusCode: res.statusCode };
+}
+
+describe('code lookup lockout', () => {
+  beforeEach(() => {
+    setRateLimitStore(new MemoryStore());
+    SERVER_CLIENTS.clear();
+  });
+
+  it('locks a shopper out of lookups after repeated misses', async () => {
+    const guard = codeLookupGuard(limits);
+    await run(guard, request());
+    await run(guard, request());
+    const { passed, statusCode } = await run(guard, request());
+    assert.equal(passed, false);
+    assert.equal(statusCode, 429);
+  });
+
+  it('counts redeem-code misses but never locks that route', async () => {
+    const counter = countCodeLookupFailures(limits);
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await run(counter, request())).passed, true);
+    }
+    assert.equal((await run(codeLookupGuard(limits), request())).passed, false);
+  });
+
+  it("counts a server client's misses per named shopper", async () => {
+    SERVER_CLIENTS.add('web');
+    const guard = codeLookupGuard(limits);
+    await run(guard, request({ shopper: 'alice' }));
+    await run(guard, request({ shopper: 'alice' }));
+    assert.equal((await run(guard, request({ shopper: 'alice' }))).passed, false);
+    assert.equal((await run(guard, request({ shopper: 'bob' }))).passed, true);
+  });
+
+  it('ignores X-Shopper-Id from clients not listed as servers', async () => {
+    const guard = codeLookupGuard(limits);
+    await run(guard, request({ shopper: 'alice' }));
+    await run(guard, request({ shopper: 'bob' }));
+    assert.equal((await run(guard, request({ shopper: 'carol' }))).passed, false);
+  });
+});
+
+describe('rateLimit', () => {
+  beforeEach(() => {
+    setRateLimitStore(new MemoryStore());
+    SERVER_CLIENTS.clear();
+  });
+
+  const config = { windowMs: 60000, perClient: 100, perIp: 2, perServerIp: 5 };
+
+  it('applies the per-IP limit to ordinary clients', async () => {
+    const limiter = rateLimit(config);
+    await run(limiter, request(), 200);
+    await run(limiter, request(), 200);
+    assert.equal((await run(limiter, request(), 200)).statusCode, 429);
+  });
+
+  it('gives server clients their own per-IP limit', async () => {
+    SERVER_CLIENTS.add('web');
+    const limiter = rateLimit(config);
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await run(limiter, request(), 200)).passed, true);
+    }
+    assert.equal((await run(limiter, request(), 200)).statusCode, 429);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Coupon from '../src/models/coupon.js';
+import Redemption from '../src/models/redemption.js';
+import { RedemptionService } from '../src/services/redemptionService.js';
+import { CouponService } from '../src/services/couponService.js';
+
+// A 10% cart-wise coupon redeemed on two units of product 1 at 100
+const redeem = (coupon, orderId = 'ORD-1') => {
+  const { updatedCart, discountResult } = CouponService.applyCouponToCart(coupon, {
+    items: [{ productId: 1, quantity: 2, price: 100 }]
+  });
+  return new Redemption({
+    coupon: coupon._id,
+    couponCode: coupon.code,
+    orderId,
+    cart: updatedCart,
+    couponSnapshot: coupon.getPricingSnapshot(),
+    cartTotal: updatedCart.totalPrice,
+    discountAmount: discountResult.discount
+  });
+};
+
+const tenPercent = () => new Coupon({
+  code: 'TEN', type: 'CART_WISE', discountType: 'PERCENTAGE', discountValue: 10
+});
+
+describe('RedemptionService.planReversal', () => {
+  it('recomputes a return from the terms the order was redeemed under', async (t) => {
+    const coupon = tenPercent();
+    const redemption = redeem(coupon);
+    // Edited after the order was placed
+    coupon.discountValue = 50;
+    const findById = t.mock.method(Coupon, 'findById', () => {
+      throw new Error('the stored coupon should not be read');
+    });
+
+    const plan = await RedemptionService.planReversal(redemption, [{ productId: 1, quantity: 1 }]);
+    assert.equal(redemption.discountAmount, 20);
+    assert.equal(plan.discountAfter, 10);
+    assert.equal(findById.mock.callCount(), 0);
+  });
+
+  it('falls back to the stored coupon for redemptions without a snapshot', async (t) => {
+    const coupon = tenPercent();
+    const redemption = redeem(coupon);
+    redemption.couponSnapshot = undefined;
+    t.mock.method(Coupon, 'findById', () => ({ setOptions: async () => coupon }));
+
+    const plan = await RedemptionService.planReversal(redemption, [{ productId: 1, quantity: 1 }]);
+    assert.equal(plan.discountAfter, 10);
+  });
+});
+
+describe('RedemptionService.reverseOrderRedemptions', () => {
+  it('reports a reversal that fails without dropping the ones that succeeded', async (t) => {
+    const first = redeem(tenPercent());
+    const second = redeem(new Coupon({
+      code: 'FIVE', type: 'CART_WISE', discountType: 'FIXED_AMOUNT', discountValue: 5
+    }));
+    t.mock.method(Redemption, 'find', async () => [first, second]);
+    t.mock.method(RedemptionService, 'applyReversal', async ({ redemption }) => {
+      if (redemption === second) {
+        throw new Error('changed while it was being reversed');
+      }
+      return { redemptionId: redemption._id, couponCode: redemption.couponCode, status: 'REVERSED' };
+    });
+
+    const reversals = await RedemptionService.reverseOrderRedemptions('ORD-1');
+    assert.deepEqual(reversals.map(reversal => reversal.couponCode), ['TEN', 'FIVE']);
+    assert.equal(reversals[0].status, 'REVERSED');
+    assert.equal(reversals[1].status, 'REDEEMED');
+    assert.equal(reversals[1].error, 'changed while it was being reversed');
+  });
+
+  it('rejects an item list that does not match the order before reversing anything', async (t) => {
+    t.mock.method(Redemption, 'find', async () => [redeem(tenPercent())]);
+    const applyReversal = t.mock.method(RedemptionService, 'applyReversal');
+
+    await assert.rejects(
+      RedemptionService.reverseOrderRedemptions('ORD-1', { items: [{ productId: 9, quantity: 1 }] }),
+      /Product 9 is not part of order ORD-1/
+    );
+    assert.equal(applyReversal.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Coupon from '../src/models/coupon.js';
+import { isWithinSchedule, getNextScheduledTime, zonedTimeToUtc } from '../src/utils/scheduleUtils.js';
+
+// Friday nights in India (UTC+05:30); 2026-10-23 is a Friday
+const fridayNights = { daysOfWeek: ['FRI'], timeRanges: [{ start: '22:00', end: '02:00' }] };
+const KOLKATA = 'Asia/Kolkata';
+
+describe('Coupon schedules', () => {
+  it('runs a range past midnight into the next day', () => {
+    assert.equal(isWithinSchedule(fridayNights, new Date('2026-10-23T16:30:00Z'), KOLKATA), true); // FRI 22:00
+    assert.equal(isWithinSchedule(fridayNights, new Date('2026-10-23T20:00:00Z'), KOLKATA), true); // SAT 01:30
+    assert.equal(isWithinSchedule(fridayNights, new Date('2026-10-23T20:30:00Z'), KOLKATA), false); // SAT 02:00
+    assert.equal(isWithinSchedule(fridayNights, new Date('2026-10-24T17:00:00Z'), KOLKATA), false); // SAT 22:30
+  });
+
+  it('finds the next window in the coupon time zone', () => {
+    // Saturday afternoon; the next window opens the following Friday at 22:00 local time
+    const next = getNextScheduledTime(fridayNights, new Date('2026-10-24T10:00:00Z'), KOLKATA);
+    assert.equal(next.toISOString(), '2026-10-30T16:30:00.000Z');
+  });
+
+  it('keeps the wall clock time across a daylight saving change', () => {
+    // New York moves to UTC-04:00 on Sunday 2026-03-08
+    const before = zonedTimeToUtc({ year: 2026, month: 3, day: 7, minutes: 9 * 60 }, 'America/New_York');
+    const after = zonedTimeToUtc({ year: 2026, month: 3, day: 9, minutes: 9 * 60 }, 'America/New_York');
+    assert.equal(before.toISOString(), '2026-03-07T14:00:00.000Z');
+    assert.equal(after.toISOString(), '2026-03-09T13:00:00.000Z');
+  });
+
+  it('reports when a coupon outside its schedule can next be used', () => {
+    const coupon = new Coupon({
+      code: 'FRINIGHT', type: 'CART_WISE', discountValue: 10, schedule: fridayNights, timezone: KOLKATA
+    });
+    const availability = coupon.checkAvailability(new Date('2026-10-24T10:00:00Z'));
+    assert.equal(availability.available, false);
+    assert.equal(availability.nextValidAt.toISOString(), '2026-10-30T16:30:00.000Z');
+    assert.match(availability.reason, /FRI 2026-10-30 22:00 Asia\/Kolkata/);
+  });
+
+  it('has no window left when the coupon expires before the next one', () => {
+    const coupon = new Coupon({
+      code: 'FRINIGHT', type: 'CART_WISE', discountValue: 10, schedule: fridayNights, timezone: KOLKATA,
+      expirationDate: new Date('2026-10-28T00:00:00Z')
+    });
+    assert.equal(coupon.getNextValidTime(new Date('2026-10-24T10:00:00Z')), null);
+  });
+});
@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateCoupon } from '../src/utils/validators.js';
+
+describe('validateCoupon updates', () => {
+  it('accepts a partial update checked against the stored type', () => {
+    const { error, value } = validateCoupon({ maxDiscount: 50 }, true, 'CART_WISE');
+    assert.equal(error, undefined);
+    assert.deepEqual(value, { maxDiscount: 50 });
+  });
+
+  it('rejects fields the stored type does not allow', () => {
+    const { error } = validateCoupon({ applicableProducts: [1] }, true, 'CART_WISE');
+    assert.match(error.details[0].message, /applicableProducts is not allowed for CART_WISE coupons/);
+  });
+
+  it('checks a type change against the new type', () => {
+    const { error } = validateCoupon({ type: 'PRODUCT_WISE', discountValue: 10 }, true, 'CART_WISE');
+    assert.equal(error, undefined);
+  });
+});